@@ -2,15 +2,26 @@ import cookieParser from "cookie-parser";
 import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
+import { adminRoute } from "./src/routes/admin.routes.js";
 import { applicationRoute } from "./src/routes/application.routes.js";
 import { companyRoute } from "./src/routes/company.routes.js";
+import { fileRoute } from "./src/routes/file.routes.js";
+import { interviewRoute } from "./src/routes/interview.routes.js";
 import { jobRoute } from "./src/routes/job.routes.js";
+import { notificationRoute } from "./src/routes/notification.routes.js";
 import { userRoute } from "./src/routes/user.routes.js";
 import { dbConnect } from "./src/utils/dbConnect.js";
+import { backfillJobSearchFields } from "./src/utils/jobSearchBackfill.js";
+import { getMailTransport } from "./src/utils/mailer.js";
+import { registerScheduledTasks } from "./src/utils/scheduledTasks.js";
+import { startScheduler } from "./src/utils/scheduler.js";
 
 
 dotenv.config({ path: "./.env" });
 
+// Fails at startup when no mail transport is configured in production
+getMailTransport();
+
 const port = process.env.PORT || 5000;
 const app = express();
 
@@ -26,14 +37,27 @@ app.use(cors(corsOptions));
 app.use(cookieParser());
 app.use(express.urlencoded({ extended: true }));
 
-// Database Connection
-dbConnect();
+// Database Connection, then start the recurring background tasks (job
+// expiry, alert digests, cleanup) and fill the search fields of older jobs
+dbConnect()
+  .then(() => {
+    registerScheduledTasks();
+    startScheduler();
+    return backfillJobSearchFields();
+  })
+  .catch((error) =>
+    console.error("Error filling job search fields:", error.message)
+  );
 
 //Main Routes
 app.use("/api/v1/user", userRoute);
 app.use("/api/v1/company", companyRoute);
 app.use("/api/v1/job", jobRoute);
 app.use('/api/v1/application', applicationRoute)
+app.use("/api/v1/notification", notificationRoute);
+app.use("/api/v1/interview", interviewRoute);
+app.use("/api/v1/files", fileRoute);
+app.use("/api/v1/admin", adminRoute);
 
 // Testing route
 app.listen(port, () => {
@@ -0,0 +1,476 @@
+import mongoose from "mongoose";
+import Application from "../models/application.model.js";
+import Company from "../models/company.model.js";
+import CompanyInvitation from "../models/company_invitation.model.js";
+import CompanyReview from "../models/company_review.model.js";
+import Job from "../models/job.model.js";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import { escapeRegex, parsePagination } from "../utils/jobFilters.js";
+import { notifyInBackground } from "../utils/notify.js";
+import { getTaskStatuses, runTaskNow } from "../utils/scheduler.js";
+import { deleteStoredKey } from "../utils/storage/index.js";
+
+const USER_ROLES = ["user", "recruiter", "admin"];
+
+const serverError = (res, error) =>
+  res.status(500).json({
+    success: false,
+    message: "Internal Server Error. Please try again later.",
+    error: error.message,
+  });
+
+const invalidId = (res, label) =>
+  res.status(400).json({
+    success: false,
+    message: `Invalid ${label} ID`,
+  });
+
+// Case-insensitive "contains" match on any of the fields
+const searchFilter = (search, fields) => {
+  const pattern = { $regex: escapeRegex(String(search).trim()), $options: "i" };
+  return { $or: fields.map((field) => ({ [field]: pattern })) };
+};
+
+/**
+ * List and search users. Query: search (name or email), role,
+ * status=active|suspended, page and limit.
+ *
+ * @param {Object} req - The request object, containing filters in req.query.
+ * @param {Object} res - The response object.
+ * @returns {Object} A page of users or an error message.
+ */
+
+export const getUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const filter = {};
+
+    if (search && String(search).trim()) {
+      Object.assign(filter, searchFilter(search, ["name", "email"]));
+    }
+    if (role !== undefined) {
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${USER_ROLES.join(", ")}`,
+        });
+      }
+      filter.role = role;
+    }
+    if (status !== undefined) {
+      if (!["active", "suspended"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "status must be active or suspended",
+        });
+      }
+      filter.isSuspended = status === "suspended" ? true : { $ne: true };
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(
+          "name email phone role isVerified isSuspended suspendedAt " +
+            "suspendedReason createdAt"
+        )
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Users fetched successfully",
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: users,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Get a user with their companies and activity counts.
+ *
+ * @param {Object} req - The request object, containing the user ID in req.params.id.
+ * @param {Object} res - The response object.
+ * @returns {Object} The user or an error message.
+ */
+
+export const getUserById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "User");
+
+    const user = await User.findById(id)
+      .select("-password -savedJobs")
+      .populate("suspendedBy", "name email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const [companies, applications, jobs, activeSessions] = await Promise.all([
+      Company.find({ userId: id }).select("name isVerified"),
+      Application.countDocuments({ applicant: id }),
+      Job.countDocuments({ postedBy: id }),
+      Session.countDocuments({
+        user: id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "User fetched successfully",
+      data: {
+        user,
+        companies,
+        counts: { applications, jobs, activeSessions },
+      },
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Suspend an account: the user is logged out everywhere and cannot log in
+ * again until unsuspended. Admin accounts cannot be suspended.
+ *
+ * @param {Object} req - The request object, containing an optional reason in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The user or an error message.
+ */
+
+export const suspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "User");
+
+    const user = await User.findById(id).select("name email role isSuspended");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    if (user.role === "admin") {
+      return res.status(400).json({
+        success: false,
+        message: "Admin accounts cannot be suspended",
+      });
+    }
+
+    user.isSuspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = sanitizeInput(req.body.reason) || null;
+    user.suspendedBy = req.user._id;
+    await user.save();
+
+    // Access tokens are bound to sessions, so this rejects them right away
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `${user.name} has been suspended`,
+      data: user,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Lift the suspension of an account. The user has to log in again.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The user or an error message.
+ */
+
+export const unsuspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "User");
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      {
+        isSuspended: false,
+        suspendedAt: null,
+        suspendedReason: null,
+        suspendedBy: null,
+      },
+      { new: true }
+    ).select("name email role isSuspended");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${user.name} is no longer suspended`,
+      data: user,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Close a job for good: it leaves the listings, stops taking applications
+ * and the company cannot reopen it. The company's team is notified.
+ *
+ * @param {Object} req - The request object, containing an optional reason in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The job or an error message.
+ */
+
+export const closeJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "Job");
+
+    const job = await Job.findByIdAndUpdate(
+      id,
+      { status: "closed", closedReason: "admin", closedAt: new Date() },
+      { new: true }
+    );
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const reason = sanitizeInput(req.body.reason);
+    const company = await Company.findById(job.company).select("userId");
+    notifyInBackground([job.postedBy, ...(company?.userId || [])], {
+      type: "job_moderated",
+      title: "Job closed by an administrator",
+      message: reason
+        ? `${job.title} was closed by an administrator: ${reason}`
+        : `${job.title} was closed by an administrator.`,
+      job: job._id,
+      company: job.company,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Job closed successfully",
+      data: job,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * List and search companies. Query: search (name), verified=true|false,
+ * page and limit.
+ *
+ * @param {Object} req - The request object, containing filters in req.query.
+ * @param {Object} res - The response object.
+ * @returns {Object} A page of companies or an error message.
+ */
+
+export const getCompanies = async (req, res) => {
+  try {
+    const { search, verified } = req.query;
+    const filter = {};
+
+    if (search && String(search).trim()) {
+      Object.assign(filter, searchFilter(search, ["name"]));
+    }
+    if (verified !== undefined) {
+      if (!["true", "false"].includes(verified)) {
+        return res.status(400).json({
+          success: false,
+          message: "verified must be true or false",
+        });
+      }
+      filter.isVerified = verified === "true" ? true : { $ne: true };
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [companies, total] = await Promise.all([
+      Company.find(filter)
+        .select("name website location logo isVerified verifiedAt createdAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Company.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Companies fetched successfully",
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: companies,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Mark a company as verified, or take the verification back with
+ * { verified: false }.
+ *
+ * @param {Object} req - The request object, containing verified in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The company or an error message.
+ */
+
+export const verifyCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "Company");
+
+    const verified = ![false, "false"].includes(req.body.verified);
+    const company = await Company.findByIdAndUpdate(
+      id,
+      verified
+        ? { isVerified: true, verifiedAt: new Date(), verifiedBy: req.user._id }
+        : { isVerified: false, verifiedAt: null, verifiedBy: null },
+      { new: true }
+    ).select("name isVerified verifiedAt verifiedBy");
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: verified
+        ? `${company.name} is now verified`
+        : `${company.name} is no longer verified`,
+      data: company,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Remove a company (spam or abuse). Its jobs are closed, its invitations
+ * and reviews deleted, and its members notified.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} A success message or an error message.
+ */
+
+export const removeCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "Company");
+
+    const company = await Company.findByIdAndDelete(id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found",
+      });
+    }
+
+    await Promise.all([
+      Job.updateMany(
+        { company: company._id, status: { $ne: "closed" } },
+        { status: "closed", closedReason: "admin", closedAt: new Date() }
+      ),
+      CompanyInvitation.deleteMany({ company: company._id }),
+      CompanyReview.deleteMany({ company: company._id }),
+      ...["logo", "coverImage"].map((field) =>
+        deleteStoredKey(company.imageKeys?.[field])
+      ),
+    ]);
+
+    notifyInBackground(company.userId, {
+      type: "company_deleted",
+      title: "Company removed",
+      message: `${company.name} has been removed by an administrator.`,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${company.name} removed successfully`,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Get the background tasks with their last and next run times, last error
+ * and run counts.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The scheduled tasks or an error message.
+ */
+
+export const getScheduledTasks = async (req, res) => {
+  try {
+    const tasks = await getTaskStatuses();
+
+    return res.status(200).json({
+      success: true,
+      message: "Scheduled tasks fetched successfully",
+      data: tasks,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Run a background task as soon as possible instead of waiting for its
+ * next scheduled run.
+ *
+ * @param {Object} req - The request object, containing the task name in req.params.name.
+ * @param {Object} res - The response object.
+ * @returns {Object} The task or an error message.
+ */
+
+export const runScheduledTask = async (req, res) => {
+  try {
+    const task = await runTaskNow(req.params.name);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled task not found",
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: "Task will run within a minute",
+      data: task,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
@@ -0,0 +1,100 @@
+import Job from "../models/job.model.js";
+import {
+  buildHiringReport,
+  parseAnalyticsQuery,
+  summarizeByJob,
+} from "../utils/hiringAnalytics.js";
+
+const serverError = (res, error) =>
+  res.status(500).json({
+    success: false,
+    message: "Internal Server Error. Please try again later.",
+    error: error.message,
+  });
+
+/**
+ * Hiring funnel analytics of a job: applications over time, the funnel with
+ * conversion rates, median time in each stage, time to hire and rejection
+ * rate. Query: from, to (application dates) and interval=day|week|month.
+ *
+ * @param {Object} req - The request object, with the job in req.job.
+ * @param {Object} res - The response object.
+ * @returns {Object} The report or an error message.
+ */
+
+export const getJobAnalytics = async (req, res) => {
+  try {
+    const { errors, ...options } = parseAnalyticsQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(". "),
+      });
+    }
+
+    const report = await buildHiringReport([req.job._id], options);
+
+    return res.status(200).json({
+      success: true,
+      message: "Job analytics fetched successfully",
+      data: {
+        job: {
+          _id: req.job._id,
+          title: req.job.title,
+          status: req.job.status,
+        },
+        range: { from: options.from, to: options.to },
+        interval: options.interval,
+        ...report,
+      },
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Hiring funnel analytics across all jobs of a company, with the same
+ * report as getJobAnalytics plus a per-job breakdown. Query: from, to,
+ * interval and category (only jobs in that category).
+ *
+ * @param {Object} req - The request object, with the company in req.company.
+ * @param {Object} res - The response object.
+ * @returns {Object} The report or an error message.
+ */
+
+export const getCompanyAnalytics = async (req, res) => {
+  try {
+    const { errors, ...options } = parseAnalyticsQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(". "),
+      });
+    }
+
+    const jobFilter = { company: req.company._id };
+    if (options.category) jobFilter.categories = options.category;
+    const jobs = await Job.find(jobFilter).select("title status");
+
+    const [report, jobSummaries] = await Promise.all([
+      buildHiringReport(jobs.map((job) => job._id), options),
+      summarizeByJob(jobs, options),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Company analytics fetched successfully",
+      data: {
+        company: { _id: req.company._id, name: req.company.name },
+        range: { from: options.from, to: options.to },
+        interval: options.interval,
+        category: options.category,
+        ...report,
+        jobs: jobSummaries,
+      },
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
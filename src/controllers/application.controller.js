@@ -1,7 +1,103 @@
-import Application from "../models/application.model.js";
+import Application, {
+  APPLICATION_STATUSES,
+  STATUS_TRANSITIONS,
+} from "../models/application.model.js";
 import Job from "../models/job.model.js";
+import Company from "../models/company.model.js";
 import { sanitizeInput } from "../utils/SanitizeInput.js";
 import mongoose from "mongoose";
+import path from "path";
+import User from "../models/user.model.js";
+import { notifyInBackground } from "../utils/notify.js";
+import { getStorage } from "../utils/storage/index.js";
+import { computeMatchScore } from "../utils/matchScore.js";
+import { getApplyBlocker, syncFilledStatus } from "../utils/openJobs.js";
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  streamCsv,
+  streamXlsx,
+} from "../utils/applicantExport.js";
+
+// First bytes of the accepted resume formats (DOCX files are zip archives)
+const RESUME_SIGNATURES = {
+  "application/pdf": "%PDF-",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "PK\x03\x04",
+};
+
+const APPLICANT_SORTS = ["newest", "oldest", "score"];
+
+// Applicant details shown to recruiters: contact details and the parts of
+// the profile used for matching. Saved jobs, preferences and stored file
+// keys stay private.
+const APPLICANT_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "profile.bio",
+  "profile.skills",
+  "profile.education",
+  "profile.experience",
+  "profile.projects",
+  "profile.socialLinks",
+  "profile.profileImage",
+].join(" ");
+
+const hasValidSignature = (file) =>
+  file.buffer
+    .subarray(0, 5)
+    .toString("latin1")
+    .startsWith(RESUME_SIGNATURES[file.mimetype]);
+
+// Resume for a new application: an uploaded file, or a reference (URL or
+// index) to one of the resumes in the applicant's profile.
+// Returns { resumeFile } or { error }.
+const resolveResume = async (req) => {
+  const file = req.file;
+  if (file) {
+    if (!hasValidSignature(file)) {
+      return { error: "The uploaded file is not a valid PDF or DOCX file." };
+    }
+    const uploaded = await getStorage().upload(file, {
+      folder: "resumes",
+      visibility: "private",
+    });
+    return {
+      resumeFile: {
+        source: "upload",
+        url: uploaded.url,
+        key: uploaded.key,
+        originalName: file.originalname,
+        size: file.size,
+        mimeType: file.mimetype,
+      },
+    };
+  }
+
+  const { profileResume } = req.body;
+  if (profileResume === undefined || profileResume === "") {
+    return { error: "Resume is required." };
+  }
+
+  const user = await User.findById(req.user._id).select("profile");
+  const resumes = user?.profile?.resume || [];
+  const url = /^\d+$/.test(String(profileResume))
+    ? resumes[Number(profileResume)]
+    : resumes.find((resume) => resume === profileResume);
+  if (!url) {
+    return { error: "Resume not found in your profile." };
+  }
+
+  return {
+    resumeFile: {
+      source: "profile",
+      url,
+      originalName: user.profile.resumeOriginalName || path.basename(url),
+    },
+  };
+};
 
 //======================================================
 /**
@@ -28,6 +124,15 @@ export const applyJob = async (req, res) => {
       });
     }
 
+    // Only published jobs before their deadline take applications
+    const blocker = getApplyBlocker(job);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker,
+      });
+    }
+
     // Step 2: Check if the User has Already Applied for this Job
     const existingApplication = await Application.findOne({
       applicant: userId,
@@ -40,25 +145,31 @@ export const applyJob = async (req, res) => {
       });
     }
 
-    // Step 3: Validate and Sanitize Input
-    const { resume, coverLetter } = req.body;
-    if (!resume) {
+    // Step 3: Validate the Resume (uploaded file or profile resume)
+    const { resumeFile, error: resumeError } = await resolveResume(req);
+    if (resumeError) {
       return res.status(400).json({
         success: false,
-        message: "Resume is required.",
+        message: resumeError,
       });
     }
 
-    const sanitizedInputs = sanitizeInput({
-      resume,
-      coverLetter,
+    const applicationId = new mongoose.Types.ObjectId();
+    const sanitizedInputs = {
+      coverLetter: sanitizeInput(req.body.coverLetter),
       job: jobId,
       applicant: userId,
+    };
+
+    // Step 4: Create a New Application with the first timeline entry
+    const newApplication = await Application.create({
+      ...sanitizedInputs,
+      _id: applicationId,
+      resume: `/api/v1/application/${applicationId}/resume`,
+      resumeFile,
+      statusHistory: [{ status: "Applied", changedBy: userId }],
     });
 
-    // Step 4: Create a New Application
-    const newApplication = await Application.create(sanitizedInputs);
-
     // Step 5: Update Job Document to Include the New Applicant
     await Job.findByIdAndUpdate(
       jobId,
@@ -66,6 +177,17 @@ export const applyJob = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Let the job's recruiters know about the new application
+    const company = await Company.findById(job.company).select("userId");
+    notifyInBackground([job.postedBy, ...(company?.userId || [])], {
+      type: "application_submitted",
+      title: "New application",
+      message: `A new candidate applied to ${job.title}.`,
+      application: newApplication._id,
+      job: job._id,
+      company: job.company,
+    });
+
     // Step 6: Send Success Response
     return res.status(201).json({
       success: true,
@@ -146,7 +268,9 @@ export const getAppliedJobs = async (req, res) => {
 
 /**
  * @author [Your Name]
- * @description Controller to get all applicants for a specific job
+ * @description Controller to get all applicants for a specific job, each with
+ * a match score (0-100) and its per-factor breakdown. Query: sort=newest|oldest|score,
+ * minScore and maxScore to filter on the match score.
  * @route GET /api/jobs/:jobId/applicants
  * @access Private (Requires authentication)
  * @param {Object} req - Express request object
@@ -166,27 +290,60 @@ export const getAllApplicants = async (req, res) => {
       });
     }
 
+    const { sort = "newest" } = req.query;
+    if (!APPLICANT_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${APPLICANT_SORTS.join(", ")}`,
+      });
+    }
+
+    const scoreRange = {};
+    for (const bound of ["minScore", "maxScore"]) {
+      if (req.query[bound] === undefined) continue;
+      const value = Number(req.query[bound]);
+      if (!Number.isFinite(value) || value < 0 || value > 100) {
+        return res.status(400).json({
+          success: false,
+          message: `${bound} must be a number between 0 and 100`,
+        });
+      }
+      scoreRange[bound] = value;
+    }
+
     // Fetch applications for the job
     const applications = await Application.find({ job: jobId })
       .sort({ createdAt: -1 }) // Sort applications by creation date (most recent first)
       .populate({
         path: "applicant", // Populate the 'applicant' field with user details
-        select: "-password -__v", // Exclude sensitive fields like password and __v
+        select: APPLICANT_FIELDS,
       });
 
-    // Check if applications exist
-    if (!applications || applications.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "No applications found for this job.",
-      });
+    // Score every applicant against the job, then filter and sort on it
+    const job = req.job || (await Job.findById(jobId));
+    let data = applications.map((application) => ({
+      ...application.toJSON(),
+      match: computeMatchScore(job, application.applicant?.profile),
+    }));
+
+    if (scoreRange.minScore !== undefined) {
+      data = data.filter((item) => item.match.score >= scoreRange.minScore);
+    }
+    if (scoreRange.maxScore !== undefined) {
+      data = data.filter((item) => item.match.score <= scoreRange.maxScore);
+    }
+    if (sort === "score") {
+      data.sort((a, b) => b.match.score - a.match.score);
+    } else if (sort === "oldest") {
+      data.reverse();
     }
 
     // Send success response with data
     return res.status(200).json({
       success: true,
       message: "Applications fetched successfully.",
-      data: applications,
+      total: data.length,
+      data,
     });
   } catch (error) {
     // Log error for debugging
@@ -217,7 +374,7 @@ export const getAllApplicants = async (req, res) => {
 export const updateApplicationStatus = async (req, res) => {
   try {
     const applicationId = req.params.applicationId;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     // Validate Application ID
     if (!mongoose.Types.ObjectId.isValid(applicationId)) {
@@ -236,35 +393,73 @@ export const updateApplicationStatus = async (req, res) => {
     }
 
     // Validate if the status is within the allowed enum values
-    const validStatuses = [
-      "Applied",
-      "Reviewed",
-      "Interview",
-      "Offered",
-      "Rejected",
-    ];
-    if (!validStatuses.includes(status)) {
+    if (!APPLICATION_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: "Invalid status value.",
       });
     }
 
-    // Update the application status
-    const application = await Application.findByIdAndUpdate(
-      applicationId,
-      { status },
-      { new: true, runValidators: true }
-    );
+    const current = await Application.findById(applicationId).select("status");
 
     // Check if the application exists
-    if (!application) {
+    if (!current) {
       return res.status(404).json({
         success: false,
         message: "Application not found.",
       });
     }
 
+    // Validate the transition from the current status
+    const allowed = STATUS_TRANSITIONS[current.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${current.status} to ${status}.`,
+        allowedTransitions: allowed,
+      });
+    }
+
+    // Update only if nobody changed the status in the meantime
+    const application = await Application.findOneAndUpdate(
+      { _id: applicationId, status: current.status },
+      {
+        $set: { status },
+        $push: {
+          statusHistory: {
+            status,
+            previousStatus: current.status,
+            changedBy: req.user._id,
+            note: sanitizeInput(note),
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!application) {
+      return res.status(409).json({
+        success: false,
+        message: "Application status was changed by someone else. Please retry.",
+      });
+    }
+
+    // Offers fill the job's openings; withdrawing one can reopen it
+    if (status === "Offered" || current.status === "Offered") {
+      await syncFilledStatus(application.job);
+    }
+
+    // Tell the applicant about the new status
+    const job = await Job.findById(application.job).select("title company");
+    notifyInBackground([application.applicant], {
+      type: "application_status_changed",
+      title: "Application status updated",
+      message: `Your application for ${job?.title || "a job"} is now ${status}.`,
+      application: application._id,
+      job: application.job,
+      company: job?.company,
+    });
+
     // Send success response with updated application data
     return res.status(200).json({
       success: true,
@@ -284,6 +479,209 @@ export const updateApplicationStatus = async (req, res) => {
   }
 };
 
+//==========================================================
+// Export of the applicants of a job
+
+/**
+ * @description Controller to download the applicants of a job as CSV or
+ * XLSX. Rows are streamed straight from the database cursor.
+ * Query: format=csv|xlsx, columns (comma separated keys of EXPORT_COLUMNS)
+ * and status (comma separated application statuses).
+ * @route GET /api/v1/application/:jobId/applicants/export
+ * @access Private (Recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {File} The CSV or XLSX file, or a JSON error
+ */
+
+export const exportApplicants = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be csv or xlsx.",
+      });
+    }
+
+    const toList = (value) =>
+      String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    const columns = req.query.columns
+      ? toList(req.query.columns)
+      : DEFAULT_EXPORT_COLUMNS;
+    const unknownColumns = columns.filter((key) => !EXPORT_COLUMNS[key]);
+    if (!columns.length || unknownColumns.length) {
+      return res.status(400).json({
+        success: false,
+        message: `columns must be among: ${Object.keys(EXPORT_COLUMNS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const filter = { job: req.job._id };
+    if (req.query.status) {
+      const statuses = toList(req.query.status);
+      if (!statuses.every((status) => APPLICATION_STATUSES.includes(status))) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be among: ${APPLICATION_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const cursor = Application.find(filter)
+      .sort({ createdAt: -1 })
+      .select("applicant status resume createdAt")
+      .populate("applicant", APPLICANT_FIELDS)
+      .cursor();
+    res.on("close", () => cursor.close().catch(() => {}));
+
+    const slug =
+      String(req.job.title)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "job";
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="applicants-${slug}-${date}.${format}"`
+    );
+
+    const context = {
+      job: req.job,
+      baseUrl: `${req.protocol}://${req.get("host")}`,
+    };
+    const stream = format === "csv" ? streamCsv : streamXlsx;
+    await stream(res, cursor, columns, context);
+  } catch (error) {
+    // Once the file has started there is no way to send a JSON error
+    if (res.headersSent) {
+      console.error("Error exporting applicants:", error.message);
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//==========================================================
+// Status timeline of an application
+
+/**
+ * @author [Your Name]
+ * @description Controller to get the status history of a job application
+ * @route GET /api/v1/application/status/:applicationId/history
+ * @access Private (Applicant or recruiter of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the current status and the timeline
+ */
+
+export const getApplicationHistory = async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId)
+      .select("status statusHistory createdAt")
+      .populate({ path: "statusHistory.changedBy", select: "name role" });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Application history fetched successfully.",
+      data: {
+        status: application.status,
+        history: application.statusHistory,
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//==========================================================
+// Download the resume of an application
+
+/**
+ * @description Controller to download the resume attached to an application
+ * @route GET /api/v1/application/:applicationId/resume
+ * @access Private (Applicant or recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {File} The resume file, or a redirect for external links
+ */
+
+export const downloadResume = async (req, res) => {
+  try {
+    const application = await Application.findById(
+      req.params.applicationId
+    ).select("resume resumeFile");
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found.",
+      });
+    }
+
+    const { resumeFile } = application;
+
+    // Applications from before file uploads only have a URL
+    if (!resumeFile?.url) {
+      if (/^https?:\/\//.test(application.resume)) {
+        return res.redirect(application.resume);
+      }
+      return res.status(404).json({
+        success: false,
+        message: "This application has no resume file.",
+      });
+    }
+
+    // Stream files from our storage; anything else is an external link
+    const storage = getStorage();
+    const key = resumeFile.key || storage.keyFromUrl(resumeFile.url);
+    if (!key) {
+      return res.redirect(resumeFile.url);
+    }
+
+    const stream = await storage.createReadStream(key);
+    res.status(200);
+    res.attachment(resumeFile.originalName || "resume");
+    if (resumeFile.mimeType) {
+      res.type(resumeFile.mimeType);
+    }
+    stream.on("error", (error) => {
+      console.error("Error streaming resume:", error.message);
+      res.destroy(error);
+    });
+    return stream.pipe(res);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
 /*
 1. job ID = userID - yes or no
 2. if yes - then already applied
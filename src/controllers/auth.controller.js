@@ -0,0 +1,223 @@
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import { consumeAuthToken, issueAuthToken } from "../utils/tokens.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../utils/emails.js";
+
+/**
+ * Verifies a user's email address with the token from the signup email.
+ *
+ * @param {Object} req - The request object, containing the token in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token is required",
+      });
+    }
+
+    const authToken = await consumeAuthToken(token, "email_verification");
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    const updates = { isVerified: true, verifiedAt: new Date() };
+
+    // An email change: switch to the new address now that it is confirmed
+    if (authToken.email) {
+      const taken = await User.exists({
+        email: authToken.email,
+        _id: { $ne: authToken.user },
+      });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: "User with this email already exists",
+        });
+      }
+      updates.email = authToken.email;
+    }
+
+    await User.findByIdAndUpdate(authToken.user, updates, {
+      runValidators: true,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Email verified successfully. You can now log in",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sends a new verification email to an unverified account.
+ *
+ * @param {Object} req - The request object, containing the email in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    // A string only: objects would reach the query as MongoDB operators
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    // Same answer whether or not the account exists
+    const user = await User.findOne({ email: sanitizeInput(email) });
+    if (user && user.isVerified === false) {
+      const token = await issueAuthToken(user._id, "email_verification");
+      await sendVerificationEmail(user, token);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "If an unverified account exists for this email, a new link has been sent",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sends a password reset link.
+ *
+ * @param {Object} req - The request object, containing the email in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    // A string only: objects would reach the query as MongoDB operators
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    // Same answer whether or not the account exists
+    const user = await User.findOne({ email: sanitizeInput(email) });
+    if (user) {
+      const token = await issueAuthToken(user._id, "password_reset");
+      await sendPasswordResetEmail(user, token);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sets a new password with the token from the reset email and signs the user
+ * out everywhere.
+ *
+ * @param {Object} req - The request object, containing token and password.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and new password are required",
+      });
+    }
+
+    // Checked before the token is used up
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const authToken = await consumeAuthToken(token, "password_reset");
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+      });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // The pre-save hook hashes the new password. Receiving the email also
+    // proves the address, so the account counts as verified.
+    user.password = password;
+    if (user.isVerified === false) {
+      user.isVerified = true;
+      user.verifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Password reset successfully. Please log in again",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
@@ -1,8 +1,88 @@
 import mongoose from "mongoose";
 import Company from "../models/company.model.js";
+import Job from "../models/job.model.js";
+import CompanyInvitation from "../models/company_invitation.model.js";
+import CompanyReview from "../models/company_review.model.js";
+import { notifyInBackground } from "../utils/notify.js";
+import { deleteStoredKey, getStorage } from "../utils/storage/index.js";
+import {
+  getOfferCounts,
+  isJobOpen,
+  openJobFilter,
+} from "../utils/openJobs.js";
 // import sanitize from "sanitize-html"; //Sanitize for protection
 import { sanitizeInput } from "../utils/SanitizeInput.js"; //Sanitize Method in utils for protection
 
+// Storage folder of each company image upload field
+const IMAGE_FOLDERS = {
+  logo: "company_logos",
+  coverImage: "company_covers",
+};
+
+// Basic company fields that can be updated from the request body
+const EDITABLE_FIELDS = ["name", "description", "website", "location"];
+
+const SOCIAL_NETWORKS = [
+  "linkedIn",
+  "twitter",
+  "facebook",
+  "instagram",
+  "github",
+];
+
+// Uploads the logo and cover image files of the request.
+// Returns the new URLs by field, with their storage keys.
+const uploadCompanyImages = async (files = {}) => {
+  const updates = {};
+  for (const [field, folder] of Object.entries(IMAGE_FOLDERS)) {
+    const file = files[field]?.[0];
+    if (file) {
+      const { url, key } = await getStorage().upload(file, { folder });
+      updates[field] = url;
+      updates[`imageKeys.${field}`] = key;
+    }
+  }
+  return updates;
+};
+
+// Deletes the uploaded images of a company, or only the given fields
+const deleteCompanyImages = (company, fields = Object.keys(IMAGE_FOLDERS)) =>
+  Promise.all(
+    fields.map((field) => deleteStoredKey(company?.imageKeys?.[field]))
+  );
+
+// Profile fields of the request body. Benefits may come as a list or, from
+// multipart forms, as one string with one benefit per line or comma.
+// Social links are returned as dotted paths so that links left out of the
+// request are kept.
+const parseProfileFields = (body) => {
+  const fields = {};
+  ["industry", "companySize", "headquarters"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = sanitizeInput(body[field]);
+  });
+  if (body.foundedYear !== undefined) {
+    fields.foundedYear = body.foundedYear === "" ? null : body.foundedYear;
+  }
+  if (body.benefits !== undefined) {
+    fields.benefits = (
+      Array.isArray(body.benefits)
+        ? body.benefits
+        : String(body.benefits).split(/\r?\n|,/)
+    )
+      .map((benefit) => sanitizeInput(String(benefit)))
+      .filter(Boolean);
+  }
+  if (body.socialLinks && typeof body.socialLinks === "object") {
+    SOCIAL_NETWORKS.forEach((network) => {
+      if (body.socialLinks[network] !== undefined) {
+        fields[`socialLinks.${network}`] =
+          String(body.socialLinks[network]).trim() || null;
+      }
+    });
+  }
+  return fields;
+};
+
 //===================================================
 /**
  * Creates a new Company by user (Get its ID by Authentication via Token) and saves it to the database.
@@ -29,7 +109,8 @@ export const createCompany = async (req, res) => {
       description,
       website,
       location,
-      userId: user,
+      userId: [user],
+      members: [{ user, role: "owner" }],
     });
 
     /*
@@ -55,7 +136,11 @@ export const createCompany = async (req, res) => {
       });
     }
 
-    const company = await Company.create(sanitizedInputs);
+    const company = await Company.create({
+      ...sanitizedInputs,
+      ...parseProfileFields(req.body),
+      ...(await uploadCompanyImages(req.files)),
+    });
 
     //Another ways through which we can create a company
     /*
@@ -75,6 +160,12 @@ export const createCompany = async (req, res) => {
       data: company,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
     return res.status(500).json({
       success: false,
       message: "Internal Server Error. Please try again later.",
@@ -216,6 +307,63 @@ export const getCompanies = async (req, res) => {
   }
 };
 
+//==============================================
+/**
+ * Public company page: the company profile and its open jobs, newest first.
+ * No login required, team members are not shown.
+ *
+ * @param {Object} req - The request object, containing the company ID in req.params.id.
+ * @param {Object} res - The response object.
+ * @returns {Object} The company and its open jobs or an error message.
+ */
+
+export const getPublicCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Company ID",
+      });
+    }
+
+    const company = await Company.findById(id).select(
+      "-userId -members -jobs -verifiedBy -imageKeys"
+    );
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found",
+      });
+    }
+
+    const jobs = await Job.find({ company: id, ...openJobFilter() })
+      .sort({ createdAt: -1 })
+      .select(
+        "title location jobType salary experience jobOpenings categoryNames " +
+          "status applicationDeadline expiresAt createdAt"
+      );
+    const offerCounts = await getOfferCounts(jobs.map((job) => job._id));
+    const openJobs = jobs.filter((job) => isJobOpen(job, offerCounts));
+
+    return res.status(200).json({
+      success: true,
+      message: "Company found successfully",
+      data: {
+        company,
+        totalOpenJobs: openJobs.length,
+        jobs: openJobs,
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
 //==============================================
 /**
  * Update Company Details
@@ -238,16 +386,19 @@ export const updateCompany = async (req, res) => {
       });
     }
 
-    const updates = sanitizeInput(req.body);
-
-    const file = req.file;
-    // Handle file upload logic if file is present
-    //if (req.file) {
-    // Your cloudinary logic here, for example:
-    // const result = await cloudinary.uploader.upload(req.file.path);
-    // updates.logo = result.secure_url;
-    // }
-    //  Cloudinary Logic
+    // Only the basic and profile fields can be edited here. Members, jobs,
+    // images, ratings and verification have their own flows.
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        fields[field] = String(req.body[field]);
+      }
+    });
+    const updates = {
+      ...sanitizeInput(fields),
+      ...parseProfileFields(req.body),
+      ...(await uploadCompanyImages(req.files)),
+    };
 
     const updatedCompany = await Company.findByIdAndUpdate(id, updates, {
       new: true, // To return the updated comment
@@ -260,12 +411,43 @@ export const updateCompany = async (req, res) => {
       });
     }
 
+    // Remove the images that were replaced
+    await deleteCompanyImages(
+      req.company,
+      Object.keys(IMAGE_FOLDERS).filter((field) => updates[field])
+    );
+
+    // Keep the company name copied on its jobs in sync for text search
+    if (updates.name) {
+      await Job.updateMany(
+        { company: updatedCompany._id },
+        { companyName: updatedCompany.name }
+      );
+    }
+
+    // Let the other members know
+    notifyInBackground(
+      updatedCompany.userId.filter((member) => !member.equals(req.user._id)),
+      {
+        type: "company_updated",
+        title: "Company updated",
+        message: `${updatedCompany.name} details were updated.`,
+        company: updatedCompany._id,
+      }
+    );
+
     return res.status(200).json({
       success: true,
       message: "Company updated successfully",
       data: updatedCompany,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
     return res.status(500).json({
       success: false,
       message: "Internal Server Error. Please try again later.",
@@ -304,6 +486,22 @@ export const deleteCompany = async (req, res) => {
       });
     }
 
+    await Promise.all([
+      CompanyInvitation.deleteMany({ company: deletedCompany._id }),
+      CompanyReview.deleteMany({ company: deletedCompany._id }),
+      deleteCompanyImages(deletedCompany),
+    ]);
+
+    // Let the other members know
+    notifyInBackground(
+      deletedCompany.userId.filter((member) => !member.equals(req.user._id)),
+      {
+        type: "company_deleted",
+        title: "Company deleted",
+        message: `${deletedCompany.name} has been deleted.`,
+      }
+    );
+
     return res.json({
       success: true,
       message: `${deletedCompany.name} deleted successfully`,
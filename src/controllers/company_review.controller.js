@@ -0,0 +1,388 @@
+import mongoose from "mongoose";
+import Company from "../models/company.model.js";
+import CompanyReview from "../models/company_review.model.js";
+import { isCompanyMember } from "../middleware/authorize.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import { parsePagination } from "../utils/jobFilters.js";
+import { notifyInBackground } from "../utils/notify.js";
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+const REVIEW_FIELDS = [
+  "relationship",
+  "rating",
+  "cultureRating",
+  "payRating",
+  "managementRating",
+  "title",
+  "pros",
+  "cons",
+  "isAnonymous",
+];
+
+const serverError = (res, error) =>
+  res.status(500).json({
+    success: false,
+    message: "Internal Server Error. Please try again later.",
+    error: error.message,
+  });
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: error.message,
+  });
+
+// Picks the review fields of the request body
+const parseReviewInput = (body) => {
+  const data = {};
+  REVIEW_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = sanitizeInput(body[field]);
+  });
+  if (data.isAnonymous !== undefined) {
+    data.isAnonymous = data.isAnonymous === true || data.isAnonymous === "true";
+  }
+  return data;
+};
+
+// Review as shown to other users: anonymous authors are hidden
+const publicReview = (review, viewerId) => {
+  const data = review.toObject();
+  const authorId = String(review.author?._id || review.author);
+  data.isMine = Boolean(viewerId) && authorId === String(viewerId);
+  if (review.isAnonymous && !data.isMine) {
+    data.author = null;
+  }
+  return data;
+};
+
+// Loads a review of the company in req.params. Returns { review } or
+// { status, message }.
+const loadReview = async (companyId, reviewId) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(companyId) ||
+    !mongoose.Types.ObjectId.isValid(reviewId)
+  ) {
+    return { status: 400, message: "Invalid company or review ID" };
+  }
+  const review = await CompanyReview.findOne({
+    _id: reviewId,
+    company: companyId,
+  });
+  if (!review) {
+    return { status: 404, message: "Review not found" };
+  }
+  return { review };
+};
+
+/**
+ * Get the reviews of a company with its rating averages.
+ * Query: sort=newest|oldest|highest|lowest, rating (1-5), page and limit.
+ *
+ * @param {Object} req - The request object, containing the company ID in req.params.id.
+ * @param {Object} res - The response object.
+ * @returns {Object} A page of reviews or an error message.
+ */
+
+export const getCompanyReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Company ID",
+      });
+    }
+
+    const { sort = "newest" } = req.query;
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const company = await Company.findById(id).select("name ratings");
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found",
+      });
+    }
+
+    const filter = { company: id };
+    if (req.query.rating !== undefined) {
+      const rating = Number(req.query.rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return res.status(400).json({
+          success: false,
+          message: "rating must be a whole number between 1 and 5",
+        });
+      }
+      filter.rating = rating;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [reviews, total] = await Promise.all([
+      CompanyReview.find(filter)
+        .sort(REVIEW_SORTS[sort])
+        .skip(skip)
+        .limit(limit)
+        .populate("author", "name profile.profileImage")
+        .populate("reply.author", "name"),
+      CompanyReview.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reviews fetched successfully",
+      ratings: company.ratings,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: reviews.map((review) => publicReview(review, req.user?._id)),
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Post a review of a company. One review per user and company; members of
+ * the company cannot review it.
+ *
+ * @param {Object} req - The request object, containing the review in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The created review or an error message.
+ */
+
+export const createCompanyReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Company ID",
+      });
+    }
+
+    const company = await Company.findById(id).select("userId");
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found",
+      });
+    }
+    if (isCompanyMember(company, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Members of a company cannot review it",
+      });
+    }
+
+    const existing = await CompanyReview.exists({
+      company: id,
+      author: req.user._id,
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this company, edit your review instead",
+      });
+    }
+
+    const review = await CompanyReview.create({
+      ...parseReviewInput(req.body),
+      company: id,
+      author: req.user._id,
+    });
+    const ratings = await CompanyReview.updateCompanyRatings(id);
+
+    return res.status(201).json({
+      success: true,
+      message: "Review posted successfully",
+      ratings,
+      data: publicReview(review, req.user._id),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationError(res, error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this company, edit your review instead",
+      });
+    }
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Edit the logged-in user's review.
+ *
+ * @param {Object} req - The request object, containing the changes in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated review or an error message.
+ */
+
+export const updateCompanyReview = async (req, res) => {
+  try {
+    const { review, status, message } = await loadReview(
+      req.params.id,
+      req.params.reviewId
+    );
+    if (!review) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (!review.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own review",
+      });
+    }
+
+    review.set(parseReviewInput(req.body));
+    await review.save();
+    const ratings = await CompanyReview.updateCompanyRatings(review.company);
+
+    return res.status(200).json({
+      success: true,
+      message: "Review updated successfully",
+      ratings,
+      data: publicReview(review, req.user._id),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationError(res, error);
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Delete the logged-in user's review.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} A success message or an error message.
+ */
+
+export const deleteCompanyReview = async (req, res) => {
+  try {
+    const { review, status, message } = await loadReview(
+      req.params.id,
+      req.params.reviewId
+    );
+    if (!review) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (!review.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete your own review",
+      });
+    }
+
+    await review.deleteOne();
+    const ratings = await CompanyReview.updateCompanyRatings(review.company);
+
+    return res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+      ratings,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Post or edit the company's public reply to a review. A review has at
+ * most one reply.
+ *
+ * @param {Object} req - The request object, containing message in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The review or an error message.
+ */
+
+export const replyToReview = async (req, res) => {
+  try {
+    const { review, status, message } = await loadReview(
+      req.params.id,
+      req.params.reviewId
+    );
+    if (!review) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const reply = sanitizeInput(req.body.message);
+    if (!reply) {
+      return res.status(400).json({
+        success: false,
+        message: "Reply message is required",
+      });
+    }
+
+    const isNewReply = !review.reply?.message;
+    review.reply = {
+      message: reply,
+      author: req.user._id,
+      repliedAt: new Date(),
+    };
+    await review.save();
+
+    if (isNewReply) {
+      notifyInBackground([review.author], {
+        type: "review_replied",
+        title: "Reply to your review",
+        message: `${req.company.name} replied to your review.`,
+        company: review.company,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Reply saved successfully",
+      data: publicReview(review, req.user._id),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationError(res, error);
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Remove the company's reply to a review.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The review or an error message.
+ */
+
+export const deleteReviewReply = async (req, res) => {
+  try {
+    const { review, status, message } = await loadReview(
+      req.params.id,
+      req.params.reviewId
+    );
+    if (!review) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    review.reply = undefined;
+    await review.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Reply deleted successfully",
+      data: publicReview(review, req.user._id),
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
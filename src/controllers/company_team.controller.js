@@ -0,0 +1,559 @@
+import mongoose from "mongoose";
+import validator from "validator";
+import Company, { COMPANY_ROLES } from "../models/company.model.js";
+import CompanyInvitation from "../models/company_invitation.model.js";
+import User from "../models/user.model.js";
+import { sendCompanyInvitationEmail } from "../utils/emails.js";
+import { notifyInBackground } from "../utils/notify.js";
+
+const INVITATION_TTL_DAYS = 14;
+
+// Roles that can be given by invitation or role change; ownership is
+// only transferred
+const ASSIGNABLE_ROLES = COMPANY_ROLES.filter((role) => role !== "owner");
+
+const serverError = (res, error) =>
+  res.status(500).json({
+    success: false,
+    message: "Internal Server Error. Please try again later.",
+    error: error.message,
+  });
+
+// Members who manage the team, except the given user
+const teamManagers = (company, exceptUserId) =>
+  company
+    .getMembers()
+    .filter(
+      (member) =>
+        company.can(member.user, "manageMembers") &&
+        String(member.user) !== String(exceptUserId)
+    )
+    .map((member) => member.user);
+
+// Admins manage recruiters and viewers; only the owner manages admins
+const canManageRole = (company, userId, role) =>
+  company.getMemberRole(userId) === "owner" || role !== "admin";
+
+// Companies created before member roles existed only have userId: store
+// their members with the roles they are given by getMembers()
+const withStoredMembers = (company) => {
+  if (!company.members?.length) {
+    company.setMembers(company.getMembers());
+  }
+  return company;
+};
+
+/**
+ * Get the members of a company with their roles.
+ *
+ * @param {Object} req - The request object, with req.company set.
+ * @param {Object} res - The response object.
+ * @returns {Object} The members or an error message.
+ */
+
+export const getCompanyMembers = async (req, res) => {
+  try {
+    const members = req.company.getMembers();
+    const users = await User.find({
+      _id: { $in: members.map((member) => member.user) },
+    }).select("name email profile.profileImage");
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    return res.status(200).json({
+      success: true,
+      message: "Company members fetched successfully",
+      data: members.map((member) => ({
+        user: usersById.get(String(member.user)) || member.user,
+        role: member.role,
+        addedAt: member.addedAt,
+      })),
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Invite someone to the company team by email.
+ * Inviting the same email again renews the pending invitation.
+ *
+ * @param {Object} req - The request object, containing email and role in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The invitation or an error message.
+ */
+
+export const inviteMember = async (req, res) => {
+  try {
+    const company = req.company;
+    const { role = "recruiter" } = req.body;
+    const email = String(req.body.email || "").trim().toLowerCase();
+
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email address is required",
+      });
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`,
+      });
+    }
+    if (!canManageRole(company, req.user._id, role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can invite admins",
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select("_id");
+    if (invitee && company.getMemberRole(invitee._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "This user is already a member of the company",
+      });
+    }
+
+    const invitation = await CompanyInvitation.findOneAndUpdate(
+      { company: company._id, email, status: "pending" },
+      {
+        role,
+        invitedBy: req.user._id,
+        expiresAt: new Date(
+          Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+        ),
+      },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+
+    const inviter = await User.findById(req.user._id).select("name");
+    sendCompanyInvitationEmail(email, { invitation, company, inviter }).catch(
+      (error) => console.error("Error sending invitation email:", error.message)
+    );
+    if (invitee) {
+      notifyInBackground([invitee._id], {
+        type: "company_invitation",
+        title: "Company invitation",
+        message: `${inviter.name} invited you to join ${company.name} as ${role}.`,
+        company: company._id,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: invitation,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Get the invitations of a company. Only pending ones unless
+ * ?status=all or another status is given.
+ *
+ * @param {Object} req - The request object, with req.company set.
+ * @param {Object} res - The response object.
+ * @returns {Object} The invitations or an error message.
+ */
+
+export const getCompanyInvitations = async (req, res) => {
+  try {
+    const { status = "pending" } = req.query;
+    const filter = { company: req.company._id };
+    if (status !== "all") filter.status = status;
+
+    const invitations = await CompanyInvitation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("invitedBy", "name email");
+
+    return res.status(200).json({
+      success: true,
+      message: "Invitations fetched successfully",
+      data: invitations,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Revoke a pending invitation.
+ *
+ * @param {Object} req - The request object, containing the invitation ID in req.params.invitationId.
+ * @param {Object} res - The response object.
+ * @returns {Object} The revoked invitation or an error message.
+ */
+
+export const revokeInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation ID",
+      });
+    }
+
+    const invitation = await CompanyInvitation.findOneAndUpdate(
+      { _id: invitationId, company: req.company._id, status: "pending" },
+      { status: "revoked", respondedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Invitation revoked",
+      data: invitation,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Get the open invitations sent to the logged-in user's email address.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The invitations or an error message.
+ */
+
+export const getMyInvitations = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const invitations = await CompanyInvitation.find({
+      email: user.email,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .populate("company", "name logo location")
+      .populate("invitedBy", "name");
+
+    return res.status(200).json({
+      success: true,
+      message: "Invitations fetched successfully",
+      data: invitations,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Accept or decline an invitation sent to the logged-in user's email
+ * address. Only recruiter accounts can join a company.
+ *
+ * @param {String} answer - "accept" or "decline".
+ * @returns {Function} Express handler.
+ */
+const respondToInvitation = (answer) => async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation ID",
+      });
+    }
+
+    const [user, invitation] = await Promise.all([
+      User.findById(req.user._id).select("name email role"),
+      CompanyInvitation.findById(invitationId),
+    ]);
+    if (!user || !invitation || invitation.email !== user.email) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+    if (!invitation.isOpen()) {
+      return res.status(410).json({
+        success: false,
+        message: `This invitation is no longer valid (${
+          invitation.status === "pending" ? "expired" : invitation.status
+        })`,
+      });
+    }
+
+    const company = await Company.findById(invitation.company);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found",
+      });
+    }
+
+    if (answer === "accept") {
+      if (user.role !== "recruiter") {
+        return res.status(403).json({
+          success: false,
+          message: "Only recruiter accounts can join a company",
+        });
+      }
+      if (!company.getMemberRole(user._id)) {
+        withStoredMembers(company);
+        company.setMembers([
+          ...company.members,
+          { user: user._id, role: invitation.role },
+        ]);
+        await company.save();
+      }
+    }
+
+    invitation.status = answer === "accept" ? "accepted" : "declined";
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    notifyInBackground(teamManagers(company, user._id), {
+      type: "company_team_changed",
+      title: answer === "accept" ? "Invitation accepted" : "Invitation declined",
+      message:
+        answer === "accept"
+          ? `${user.name} joined ${company.name} as ${invitation.role}.`
+          : `${user.name} declined the invitation to ${company.name}.`,
+      company: company._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message:
+        answer === "accept"
+          ? `You joined ${company.name}`
+          : "Invitation declined",
+      data: invitation,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+export const acceptInvitation = respondToInvitation("accept");
+export const declineInvitation = respondToInvitation("decline");
+
+// Checks the member in req.params.userId. Returns { role } or { status, message }.
+const findMember = (company, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return { status: 400, message: "Invalid user ID" };
+  }
+  const role = company.getMemberRole(userId);
+  if (!role) {
+    return { status: 404, message: "This user is not a member of the company" };
+  }
+  return { role };
+};
+
+/**
+ * Change the role of a member. The owner's role cannot be changed, use
+ * transferOwnership instead.
+ *
+ * @param {Object} req - The request object, containing the role in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The members or an error message.
+ */
+
+export const updateMemberRole = async (req, res) => {
+  try {
+    const company = req.company;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const member = findMember(company, userId);
+    if (!member.role) {
+      return res
+        .status(member.status)
+        .json({ success: false, message: member.message });
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`,
+      });
+    }
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "Transfer ownership to change the owner's role",
+      });
+    }
+    if (
+      !canManageRole(company, req.user._id, member.role) ||
+      !canManageRole(company, req.user._id, role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can change the role of admins",
+      });
+    }
+
+    withStoredMembers(company);
+    company.setMembers(
+      company.members.map((item) =>
+        String(item.user) === String(userId)
+          ? { user: item.user, role, addedAt: item.addedAt }
+          : item
+      )
+    );
+    await company.save();
+
+    notifyInBackground([userId], {
+      type: "company_team_changed",
+      title: "Your role changed",
+      message: `Your role in ${company.name} is now ${role}.`,
+      company: company._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Member role updated",
+      data: company.members,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Remove a member from the company. Members can also remove themselves
+ * (leave). The owner has to transfer ownership before leaving.
+ *
+ * @param {Object} req - The request object, containing the member in req.params.userId.
+ * @param {Object} res - The response object.
+ * @returns {Object} The remaining members or an error message.
+ */
+
+export const removeMember = async (req, res) => {
+  try {
+    const company = req.company;
+    const { userId } = req.params;
+    const isSelf = String(userId) === String(req.user._id);
+
+    const member = findMember(company, userId);
+    if (!member.role) {
+      return res
+        .status(member.status)
+        .json({ success: false, message: member.message });
+    }
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The owner cannot be removed, transfer ownership first",
+      });
+    }
+    if (
+      !isSelf &&
+      (!company.can(req.user._id, "manageMembers") ||
+        !canManageRole(company, req.user._id, member.role))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to remove this member",
+      });
+    }
+
+    withStoredMembers(company);
+    company.setMembers(
+      company.members.filter((item) => String(item.user) !== String(userId))
+    );
+    await company.save();
+
+    notifyInBackground(
+      isSelf ? teamManagers(company, userId) : [userId],
+      {
+        type: "company_team_changed",
+        title: isSelf ? "Member left" : "Removed from company",
+        message: isSelf
+          ? `A member left ${company.name}.`
+          : `You were removed from ${company.name}.`,
+        company: company._id,
+      }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: isSelf ? `You left ${company.name}` : "Member removed",
+      data: company.members,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Make another member the owner of the company. The previous owner
+ * becomes an admin.
+ *
+ * @param {Object} req - The request object, containing userId in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The members or an error message.
+ */
+
+export const transferOwnership = async (req, res) => {
+  try {
+    const company = req.company;
+    const { userId } = req.body;
+
+    const member = findMember(company, userId);
+    if (!member.role) {
+      return res
+        .status(member.status)
+        .json({ success: false, message: member.message });
+    }
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "This user already owns the company",
+      });
+    }
+
+    withStoredMembers(company);
+    company.setMembers(
+      company.members.map((item) => {
+        if (String(item.user) === String(userId)) {
+          return { user: item.user, role: "owner", addedAt: item.addedAt };
+        }
+        if (item.role === "owner") {
+          return { user: item.user, role: "admin", addedAt: item.addedAt };
+        }
+        return item;
+      })
+    );
+    await company.save();
+
+    notifyInBackground([userId], {
+      type: "company_team_changed",
+      title: "You are now the owner",
+      message: `You are now the owner of ${company.name}.`,
+      company: company._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Ownership transferred",
+      data: company.members,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
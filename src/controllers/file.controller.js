@@ -0,0 +1,61 @@
+import path from "path";
+import { getStorage } from "../utils/storage/index.js";
+
+/**
+ * Serves files of the local storage driver. Public files are open, private
+ * files need a signed URL from storage.getSignedUrl().
+ *
+ * @param {Object} req - The request object, with the file key in the path.
+ * @param {Object} res - The response object.
+ * @returns {File} The file or an error message.
+ */
+
+export const serveFile = async (req, res) => {
+  try {
+    const storage = getStorage();
+
+    // Express has already decoded the path, so "%2e%2e" arrives as "..".
+    // The key is normalized before its folder decides whether it is public.
+    const key = path.posix.normalize(String(req.params[0] || ""));
+    if (
+      key.startsWith("/") ||
+      key.includes("\\") ||
+      key.split("/").includes("..")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid file key",
+      });
+    }
+
+    if (storage.name !== "local") {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    const isPublic = key.startsWith("public/");
+    const { expires, signature } = req.query;
+    if (!isPublic && !storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "This link is invalid or has expired",
+      });
+    }
+
+    return res.sendFile(storage.resolvePath(key), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: "File not found",
+        });
+      }
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
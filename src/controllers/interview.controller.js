@@ -0,0 +1,657 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Interview from "../models/interview.model.js";
+import Job from "../models/job.model.js";
+import User from "../models/user.model.js";
+import { isCompanyMember } from "../middleware/authorize.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import { buildCalendar, buildEvent } from "../utils/ical.js";
+import { notifyInBackground } from "../utils/notify.js";
+
+const DEFAULT_DURATION = 60;
+
+// Validates [{ start, durationMinutes }]. Returns { slots } or { error }.
+const parseSlots = (slots, defaultDuration = DEFAULT_DURATION) => {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return { error: "At least one time slot is required" };
+  }
+  if (slots.length > 10) {
+    return { error: "At most 10 time slots can be proposed" };
+  }
+
+  const parsed = [];
+  for (const slot of slots) {
+    const start = new Date(slot?.start);
+    if (Number.isNaN(start.getTime())) {
+      return { error: "Every slot needs a valid start time" };
+    }
+    if (start <= new Date()) {
+      return { error: "Time slots must be in the future" };
+    }
+    const durationMinutes = Number(slot.durationMinutes || defaultDuration);
+    if (!Number.isInteger(durationMinutes)) {
+      return { error: "Slot duration must be a whole number of minutes" };
+    }
+    parsed.push({ start, durationMinutes });
+  }
+
+  return { slots: parsed.sort((a, b) => a.start - b.start) };
+};
+
+// Loads an interview and works out which side the user is on. With
+// manage, company members also need a role that may manage applications.
+// Returns { interview, side } or { status, message }.
+const loadInterview = async (id, userId, { manage = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: "Invalid interview ID" };
+  }
+
+  const interview = await Interview.findById(id).populate(
+    "company",
+    "name userId members"
+  );
+  if (!interview) {
+    return { status: 404, message: "Interview not found" };
+  }
+
+  let side = null;
+  if (String(interview.candidate) === String(userId)) {
+    side = "candidate";
+  } else if (isCompanyMember(interview.company, userId)) {
+    side = "recruiter";
+  }
+  if (!side) {
+    return {
+      status: 403,
+      message: "You are not allowed to access this interview",
+    };
+  }
+  if (
+    manage &&
+    side === "recruiter" &&
+    !interview.company.can(userId, "manageApplications")
+  ) {
+    return {
+      status: 403,
+      message: "Your role in this company does not allow changing interviews",
+    };
+  }
+
+  return { interview, side };
+};
+
+// Users on the other side of the interview from `side`
+const otherSide = (interview, side) =>
+  side === "candidate"
+    ? [interview.createdBy, ...interview.interviewers]
+    : [interview.candidate];
+
+const interviewNotification = (interview, type, title, message) => ({
+  type,
+  title,
+  message,
+  application: interview.application,
+  job: interview.job,
+  company: interview.company._id || interview.company,
+});
+
+// Builds the calendar event of a scheduled (or cancelled) interview
+const toCalendarEvent = (interview, host) => {
+  const slot = interview.getSelectedSlot();
+  const people = [interview.candidate, ...interview.interviewers].filter(
+    (person) => person && person.email
+  );
+  const details = [
+    interview.notes,
+    interview.meetingLink && `Meeting link: ${interview.meetingLink}`,
+  ].filter(Boolean);
+
+  return buildEvent({
+    uid: `interview-${interview._id}@${host}`,
+    start: slot.start,
+    durationMinutes: slot.durationMinutes,
+    summary: interview.title,
+    description: details.join("\n"),
+    location: interview.location || interview.meetingLink,
+    url: interview.meetingLink,
+    sequence: interview.sequence,
+    cancelled: interview.status === "cancelled",
+    organizer: interview.createdBy?.email ? interview.createdBy : undefined,
+    attendees: people,
+  });
+};
+
+// Works on both queries and documents
+const populateForCalendar = (target) =>
+  target.populate([
+    { path: "candidate", select: "name email" },
+    { path: "createdBy", select: "name email" },
+    { path: "interviewers", select: "name email" },
+  ]);
+
+//======================================================
+/**
+ * @description Propose interview time slots for an application
+ * @route POST /api/v1/interview/application/:applicationId
+ * @access Private (Recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the created interview
+ */
+
+export const proposeInterview = async (req, res) => {
+  try {
+    const application = req.application;
+    const {
+      slots,
+      durationMinutes,
+      title,
+      location,
+      meetingLink,
+      interviewers = [],
+      notes,
+    } = req.body;
+
+    if (application.status !== "Interview") {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Move the application to "Interview" before scheduling interviews.',
+      });
+    }
+
+    const parsed = parseSlots(slots, durationMinutes);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    if (!location && !meetingLink) {
+      return res.status(400).json({
+        success: false,
+        message: "A location or a meeting link is required.",
+      });
+    }
+
+    // Interviewers must be members of the hiring company
+    const company = application.job.company;
+    const interviewerIds = [].concat(interviewers);
+    if (!interviewerIds.every((id) => isCompanyMember(company, id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Interviewers must be members of the hiring company.",
+      });
+    }
+
+    const job = await Job.findById(application.job._id).select("title");
+
+    const interview = await Interview.create({
+      application: application._id,
+      job: application.job._id,
+      company: company._id,
+      candidate: application.applicant,
+      createdBy: req.user._id,
+      interviewers: interviewerIds,
+      title: sanitizeInput(title) || `Interview for ${job?.title || "a job"}`,
+      location: sanitizeInput(location),
+      meetingLink,
+      notes: sanitizeInput(notes),
+      slots: parsed.slots,
+      proposedBy: "recruiter",
+    });
+
+    notifyInBackground(
+      [interview.candidate],
+      interviewNotification(
+        interview,
+        "interview_proposed",
+        "Interview invitation",
+        `Please pick a time for "${interview.title}".`
+      )
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Interview slots proposed successfully.",
+      data: interview,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Get the interviews of an application
+ * @route GET /api/v1/interview/application/:applicationId
+ * @access Private (Applicant or recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the interviews
+ */
+
+export const getApplicationInterviews = async (req, res) => {
+  try {
+    const interviews = await Interview.find({
+      application: req.params.applicationId,
+    })
+      .populate("interviewers", "name email")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Interviews fetched successfully.",
+      data: interviews,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Get one interview
+ * @route GET /api/v1/interview/:id
+ * @access Private (Candidate or recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the interview
+ */
+
+export const getInterview = async (req, res) => {
+  try {
+    const { interview, status, message } = await loadInterview(
+      req.params.id,
+      req.user._id
+    );
+    if (!interview) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await interview.populate("interviewers", "name email");
+
+    return res.status(200).json({
+      success: true,
+      message: "Interview fetched successfully.",
+      data: interview,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Pick one of the proposed time slots
+ * @route PUT /api/v1/interview/:id/select
+ * @access Private (The side that did not propose the slots)
+ * @param {Object} req - Express request object, with slotId in the body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the scheduled interview
+ */
+
+export const selectInterviewSlot = async (req, res) => {
+  try {
+    const { interview, side, status, message } = await loadInterview(
+      req.params.id,
+      req.user._id,
+      { manage: true }
+    );
+    if (!interview) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (interview.status !== "proposed") {
+      return res.status(400).json({
+        success: false,
+        message: `Interview is ${interview.status}, no slot can be picked.`,
+      });
+    }
+
+    if (interview.proposedBy === side) {
+      return res.status(403).json({
+        success: false,
+        message: "The other side has to pick one of your proposed slots.",
+      });
+    }
+
+    const slot = mongoose.Types.ObjectId.isValid(req.body.slotId)
+      ? interview.slots.id(req.body.slotId)
+      : null;
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid slot ID.",
+      });
+    }
+    if (slot.start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "This time slot is in the past.",
+      });
+    }
+
+    interview.selectedSlot = slot._id;
+    interview.scheduledAt = slot.start;
+    interview.status = "scheduled";
+    interview.sequence += 1;
+    await interview.save();
+
+    notifyInBackground(
+      otherSide(interview, side),
+      interviewNotification(
+        interview,
+        "interview_scheduled",
+        "Interview scheduled",
+        `"${interview.title}" is scheduled for ${slot.start.toISOString()}.`
+      )
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Interview scheduled successfully.",
+      data: interview,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Propose new time slots for an interview. The other side then
+ * picks one of them. Recruiters can also change location and meeting link.
+ * @route PUT /api/v1/interview/:id/reschedule
+ * @access Private (Candidate or recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated interview
+ */
+
+export const rescheduleInterview = async (req, res) => {
+  try {
+    const { interview, side, status, message } = await loadInterview(
+      req.params.id,
+      req.user._id,
+      { manage: true }
+    );
+    if (!interview) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (interview.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "A cancelled interview cannot be rescheduled.",
+      });
+    }
+
+    const parsed = parseSlots(req.body.slots, req.body.durationMinutes);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    if (side === "recruiter") {
+      const { location, meetingLink } = req.body;
+      if (location !== undefined) interview.location = sanitizeInput(location);
+      if (meetingLink !== undefined) interview.meetingLink = meetingLink;
+    }
+
+    interview.slots = parsed.slots;
+    interview.proposedBy = side;
+    interview.selectedSlot = null;
+    interview.scheduledAt = null;
+    interview.status = "proposed";
+    interview.sequence += 1;
+    await interview.save();
+
+    notifyInBackground(
+      otherSide(interview, side),
+      interviewNotification(
+        interview,
+        "interview_proposed",
+        "Interview rescheduled",
+        `New times were proposed for "${interview.title}". Please pick one.`
+      )
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "New interview slots proposed successfully.",
+      data: interview,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Cancel an interview
+ * @route PUT /api/v1/interview/:id/cancel
+ * @access Private (Candidate or recruiters of the hiring company)
+ * @param {Object} req - Express request object, with an optional reason
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the cancelled interview
+ */
+
+export const cancelInterview = async (req, res) => {
+  try {
+    const { interview, side, status, message } = await loadInterview(
+      req.params.id,
+      req.user._id,
+      { manage: true }
+    );
+    if (!interview) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (interview.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is already cancelled.",
+      });
+    }
+
+    interview.status = "cancelled";
+    interview.cancelledBy = req.user._id;
+    interview.cancelReason = sanitizeInput(req.body.reason);
+    interview.sequence += 1;
+    await interview.save();
+
+    notifyInBackground(
+      otherSide(interview, side),
+      interviewNotification(
+        interview,
+        "interview_cancelled",
+        "Interview cancelled",
+        `"${interview.title}" has been cancelled.`
+      )
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Interview cancelled successfully.",
+      data: interview,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Download a scheduled interview as an .ics file
+ * @route GET /api/v1/interview/:id/ics
+ * @access Private (Candidate or recruiters of the hiring company)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {String} text/calendar file
+ */
+
+export const downloadInterviewIcs = async (req, res) => {
+  try {
+    const { interview, status, message } = await loadInterview(
+      req.params.id,
+      req.user._id
+    );
+    if (!interview) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!interview.getSelectedSlot()) {
+      return res.status(400).json({
+        success: false,
+        message: "No time slot has been picked for this interview yet.",
+      });
+    }
+
+    await populateForCalendar(interview);
+
+    const ics = buildCalendar([toCalendarEvent(interview, req.hostname)], {
+      method: interview.status === "cancelled" ? "CANCEL" : "PUBLISH",
+    });
+
+    return res
+      .status(200)
+      .set("Content-Type", "text/calendar; charset=utf-8")
+      .set(
+        "Content-Disposition",
+        `attachment; filename="interview-${interview._id}.ics"`
+      )
+      .send(ics);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Get the private URL of the user's interview calendar feed.
+ * Use ?reset=true to create a new URL and stop the old one from working.
+ * @route GET /api/v1/interview/feed-url
+ * @access Private (Requires authentication)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the feed URL
+ */
+
+export const getCalendarFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+calendarFeedToken"
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.calendarFeedToken || req.query.reset === "true") {
+      user.calendarFeedToken = crypto.randomBytes(24).toString("hex");
+      await user.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      url: `${req.protocol}://${req.get("host")}/api/v1/interview/feed/${
+        user.calendarFeedToken
+      }.ics`,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+//======================================================
+/**
+ * @description Calendar feed with the user's upcoming interviews (as the
+ * candidate, the organizer or an interviewer). Calendar apps cannot log in,
+ * so the secret token in the URL identifies the user.
+ * @route GET /api/v1/interview/feed/:token.ics
+ * @access Public (with the secret feed token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {String} text/calendar feed
+ */
+
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: String(req.params.token),
+    }).select("name");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Calendar feed not found",
+      });
+    }
+
+    // Recently cancelled interviews stay in the feed so calendars drop them
+    const interviews = await populateForCalendar(
+      Interview.find({
+        $or: [
+          { candidate: user._id },
+          { createdBy: user._id },
+          { interviewers: user._id },
+        ],
+        status: { $in: ["scheduled", "cancelled"] },
+        scheduledAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      }).sort({ scheduledAt: 1 })
+    );
+
+    const ics = buildCalendar(
+      interviews.map((interview) => toCalendarEvent(interview, req.hostname)),
+      { name: "Job Portal interviews" }
+    );
+
+    return res
+      .status(200)
+      .set("Content-Type", "text/calendar; charset=utf-8")
+      .send(ics);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
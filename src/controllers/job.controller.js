@@ -1,12 +1,54 @@
 import mongoose from "mongoose";
 import Company from "../models/company.model.js";
-import Job from "../models/job.model.js";
-import { sanitizeInput } from "../utils/SanitizeInput.js";
+import Job, {
+  JOB_STATUSES,
+  JOB_STATUS_TRANSITIONS,
+} from "../models/job.model.js";
+import User from "../models/user.model.js";
+import Application from "../models/application.model.js";
 import JobCategory from "../models/job_categories.model.js";
+import {
+  JOB_SORTS,
+  buildJobFilter,
+  parsePagination,
+} from "../utils/jobFilters.js";
+import { buildHighlights } from "../utils/searchHighlight.js";
+import { processNewJob } from "../utils/jobAlerts.js";
+import {
+  createJob,
+  parseJobDates,
+  pickJobUpdates,
+  prepareNewJob,
+} from "../utils/jobPosting.js";
+import {
+  loadImportLookups,
+  parseImportFile,
+  resolveImportRow,
+} from "../utils/jobImport.js";
+import { notifyInBackground } from "../utils/notify.js";
+import { recommendJobs } from "../utils/recommendations.js";
+import {
+  getOfferCounts,
+  isJobOpen,
+  openJobFilter,
+  syncFilledStatus,
+} from "../utils/openJobs.js";
+import { isCompanyMember } from "../middleware/authorize.js";
+
+// IDs (as strings) of the jobs the user has saved
+const getSavedJobIds = async (userId) => {
+  const user = await User.findById(userId).select("savedJobs");
+  return new Set(
+    (user?.savedJobs || []).map((saved) => String(saved.job))
+  );
+};
 
 /**
  * Create a Job
  *
+ * The job is published right away unless status is "draft". Optional
+ * applicationDeadline and expiresAt dates end the posting automatically.
+ *
  * @param {Object} req - The request object, containing user data in req.body.
  * @param {Object} res - The response object.
  * @returns {Object} The created user object or an error message.
@@ -14,96 +56,126 @@ import JobCategory from "../models/job_categories.model.js";
 
 export const postJob = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const {
-      title,
-      description,
-      company,
-      location,
-      experience,
-      salary,
-      jobOpenings,
-      requirements,
-      jobType,
-      categories,
-    } = req.body;
-
-    // Validate required fields
-    if (
-      !title ||
-      !description ||
-      !company ||
-      !experience ||
-      !location ||
-      !jobOpenings ||
-      !jobType ||
-      !categories ||
-      !userId
-    ) {
+    const { job, error } = await prepareNewJob(req.body, req.user._id);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: "All required fields must be provided",
+        message: error,
       });
     }
 
-    // Sanitize input
-    const sanitizedInputs = sanitizeInput({
-      title,
-      description,
-      company,
-      location,
-      experience,
-      salary,
-      jobOpenings,
-      requirements,
-      jobType,
-      categories,
-      postedBy: userId,
+    const newJob = await createJob(job);
+
+    return res.status(201).json({
+      success: true,
+      message: "Job created successfully",
+      data: newJob,
     });
+  } catch (error) {
+    // Log the error for debugging
+    // console.error("Error creating job:", error.message);
 
-    // Validate company ID
-    const validCompany = await Company.findById(sanitizedInputs.company);
-    if (!validCompany) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Import Jobs from a CSV or JSON file
+ *
+ * Every row is checked with the rules of postJob; company and category
+ * names are resolved to IDs. With ?dryRun=true nothing is created and the
+ * report lists each row's error or preview. Otherwise the valid rows are
+ * created and the invalid ones reported.
+ *
+ * @param {Object} req - The request object, with the file in req.file.
+ * @param {Object} res - The response object.
+ * @returns {Object} The per-row report or an error message.
+ */
+
+export const importJobs = async (req, res) => {
+  try {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: "Invalid company ID",
+        message: "A CSV or JSON file is required",
       });
     }
+    const dryRun = [true, "true"].includes(
+      req.query.dryRun ?? req.body?.dryRun
+    );
 
-    // Validate categories
-    const validCategories = await JobCategory.find({
-      _id: { $in: sanitizedInputs.categories },
-    });
-    if (validCategories.length !== sanitizedInputs.categories.length) {
+    const { rows, error } = parseImportFile(req.file);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: "One or more job categories are invalid",
+        message: error,
       });
     }
 
-    // Create job
-    const newJob = await Job.create(sanitizedInputs);
+    const userId = req.user._id;
+    const lookups = await loadImportLookups(userId);
+
+    // Rows are numbered from 1, not counting the CSV header
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      const resolved = resolveImportRow(row, lookups);
+      const prepared = resolved.error
+        ? resolved
+        : await prepareNewJob(resolved.body, userId);
+      results.push({ row: index + 1, ...prepared });
+    }
 
-    // Update categories with new job references
-    await JobCategory.updateMany(
-      { _id: { $in: sanitizedInputs.categories } },
-      { $push: { jobs: newJob._id } }
-    );
+    const failed = results
+      .filter((result) => result.error)
+      .map(({ row, error }) => ({ row, error }));
+
+    if (dryRun) {
+      const valid = results.length - failed.length;
+      return res.status(200).json({
+        success: true,
+        message: `${valid} of ${results.length} jobs are valid`,
+        dryRun: true,
+        valid,
+        invalid: failed.length,
+        rows: results.map(({ row, error, job }) =>
+          error
+            ? { row, valid: false, error }
+            : {
+                row,
+                valid: true,
+                preview: {
+                  title: job.title,
+                  company: job.companyName,
+                  categories: job.categoryNames,
+                  status: job.status,
+                },
+              }
+        ),
+      });
+    }
 
-    // Update company with new job reference
-    await Company.findByIdAndUpdate(sanitizedInputs.company, {
-      $push: { jobs: newJob._id },
-    });
+    const created = [];
+    for (const { row, job } of results.filter((result) => !result.error)) {
+      try {
+        await createJob(job);
+        created.push({ row, jobId: job._id });
+      } catch (error) {
+        failed.push({ row, error: error.message });
+      }
+    }
+    failed.sort((a, b) => a.row - b.row);
 
-    return res.status(201).json({
-      success: true,
-      message: "Job created successfully",
-      data: newJob,
+    return res.status(created.length ? 201 : 400).json({
+      success: created.length > 0,
+      message: `${created.length} of ${results.length} jobs imported`,
+      created,
+      failed,
     });
   } catch (error) {
-    // Log the error for debugging
-    // console.error("Error creating job:", error.message);
-
     return res.status(500).json({
       success: false,
       message: "Internal Server Error. Please try again later.",
@@ -132,8 +204,31 @@ export const updateJob = async (req, res) => {
       });
     }
 
-    // Sanitize and prepare updates
-    const updates = sanitizeInput(req.body);
+    // Sanitize the fields the poster may change
+    const updates = pickJobUpdates(req.body);
+
+    const { dates, error: dateError } = parseJobDates(req.body, req.job);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+    Object.assign(updates, dates);
+
+    // Keep the searchable category names in sync with the categories
+    if (updates.categories) {
+      const categories = await JobCategory.find({
+        _id: { $in: updates.categories },
+      });
+      if (categories.length !== [].concat(updates.categories).length) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more job categories are invalid",
+        });
+      }
+      updates.categoryNames = categories.map((category) => category.name);
+    }
 
     // Update the job document
     const updatedJob = await Job.findByIdAndUpdate(id, updates, {
@@ -149,11 +244,20 @@ export const updateJob = async (req, res) => {
       });
     }
 
+    // More or fewer openings can fill or reopen the job
+    let job = updatedJob;
+    if (
+      updates.jobOpenings !== undefined &&
+      (await syncFilledStatus(updatedJob._id))
+    ) {
+      job = await Job.findById(updatedJob._id);
+    }
+
     // Return successful response with updated job data
     return res.status(200).json({
       success: true,
       message: "Job updated successfully",
-      job: updatedJob,
+      job,
     });
   } catch (error) {
     // Log error for debugging
@@ -168,6 +272,99 @@ export const updateJob = async (req, res) => {
   }
 };
 
+/**
+ * Change the status of a job: publish, pause, close or reopen it (see
+ * JOB_STATUS_TRANSITIONS). Saved-search alerts go out when a draft is
+ * published.
+ *
+ * @param {Object} req - The request object, containing status in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated job or an error message.
+ */
+
+export const updateJobStatus = async (req, res) => {
+  try {
+    const job = req.job;
+    const { status } = req.body;
+    const current = job.status || "published";
+
+    if (!JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (job.closedReason === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "This job was closed by an administrator",
+      });
+    }
+
+    const allowed = JOB_STATUS_TRANSITIONS[current] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${current} to ${status}.`,
+        allowedTransitions: allowed,
+      });
+    }
+
+    const now = new Date();
+    // Only drafts have never been published (older jobs have no publishedAt)
+    const isFirstPublish = status === "published" && current === "draft";
+
+    if (status === "published") {
+      if (job.expiresAt && job.expiresAt <= now) {
+        return res.status(400).json({
+          success: false,
+          message: "The job has expired. Set a later expiresAt first.",
+        });
+      }
+      const offers = await Application.countDocuments({
+        job: job._id,
+        status: "Offered",
+      });
+      if (offers >= job.jobOpenings) {
+        return res.status(400).json({
+          success: false,
+          message: "All openings are filled. Add openings first.",
+        });
+      }
+      job.closedAt = undefined;
+      job.closedReason = undefined;
+      if (!job.publishedAt) job.publishedAt = now;
+    }
+
+    if (status === "closed") {
+      job.closedAt = now;
+      job.closedReason = "manual";
+    }
+
+    job.status = status;
+    await job.save();
+
+    if (isFirstPublish) {
+      processNewJob(job).catch((error) =>
+        console.error("Error processing job alerts:", error.message)
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Job status updated successfully",
+      job,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Job By ID
  *
@@ -199,11 +396,24 @@ export const jobById = async (req, res) => {
       });
     }
 
+    // Drafts are only visible to the company's team
+    if (job.status === "draft") {
+      const company = await Company.findById(job.company).select("userId");
+      if (!company || !isCompanyMember(company, req.user._id)) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
+    }
+
+    const savedJobIds = await getSavedJobIds(req.user._id);
+
     // Return successful response
     return res.status(200).json({
       success: true,
       message: "Job found successfully",
-      job,
+      job: { ...job.toObject(), isSaved: savedJobIds.has(String(job._id)) },
     });
   } catch (error) {
     // Log the error for debugging
@@ -218,43 +428,107 @@ export const jobById = async (req, res) => {
   }
 };
 
+// Counts per jobType and per category. Each facet ignores its own filter so
+// the frontend can show how many jobs every other chip would match.
+const getJobFacets = async (query) => {
+  const [jobType, categories] = await Promise.all([
+    Job.aggregate([
+      { $match: buildJobFilter(query, { omit: ["jobType"] }).filter },
+      { $group: { _id: "$jobType", count: { $sum: 1 } } },
+      { $project: { _id: 0, value: "$_id", count: 1 } },
+      { $sort: { count: -1, value: 1 } },
+    ]),
+    Job.aggregate([
+      { $match: buildJobFilter(query, { omit: ["categories"] }).filter },
+      { $unwind: "$categories" },
+      { $group: { _id: "$categories", count: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: JobCategory.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          as: "category",
+        },
+      },
+      { $unwind: "$category" },
+      { $project: { _id: 1, name: "$category.name", count: 1 } },
+      { $sort: { count: -1, name: 1 } },
+    ]),
+  ]);
+
+  return { jobType, categories };
+};
+
 /**
  * Get All Jobs
  *
- * @param {Object} req - The request object, containing user data in req.body.
+ * Supports full-text search (keyword), the filters location, jobType,
+ * minSalary, maxSalary, experience, categories, company and postedWithin
+ * (days), sort=relevance|newest|oldest|salary_desc|salary_asc and page/limit
+ * pagination. Searches are sorted by relevance unless another sort is given.
+ *
+ * @param {Object} req - The request object, containing filters in req.query.
  * @param {Object} res - The response object.
- * @returns {Object} The created user object or an error message.
+ * @returns {Object} A page of jobs with facet counts or an error message.
  */
 
 export const getAllJobs = async (req, res) => {
   try {
-    const keyword = req.query.keyword || "";
-    const query = {
-      $or: [
-        { title: { $regex: keyword, $options: "i" } },
-        { description: { $regex: keyword, $options: "i" } },
-      ],
-    };
-
-    // Fetch jobs based on query and populate the company field
-    const jobs = await Job.find(query)
-      .populate("company")
-      .sort({ createdAt: -1 });
+    const { filter, errors } = buildJobFilter(req.query);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(". "),
+      });
+    }
 
-    // Check if jobs were found
-    if (jobs.length === 0) {
-      return res.status(404).json({
+    const isSearch = Boolean(filter.$text);
+    let sort = req.query.sort || (isSearch ? "relevance" : "newest");
+    if (sort === "relevance" && !isSearch) sort = "newest";
+    if (!JOB_SORTS[sort]) {
+      return res.status(400).json({
         success: false,
-        message: "No jobs found.",
+        message: `Invalid sort option. Use one of: ${Object.keys(
+          JOB_SORTS
+        ).join(", ")}`,
       });
     }
 
-    // Return successful response with jobs data
+    const { page, limit, skip } = parsePagination(req.query);
+
+    // Fetch one page of jobs, the total and the facet counts together
+    const [results, totalJobs, facets, savedJobIds] = await Promise.all([
+      Job.find(filter, isSearch ? { score: { $meta: "textScore" } } : {})
+        .populate("company")
+        .sort(JOB_SORTS[sort])
+        .skip(skip)
+        .limit(limit),
+      Job.countDocuments(filter),
+      getJobFacets(req.query),
+      getSavedJobIds(req.user._id),
+    ]);
+
+    // Flag saved jobs and add highlighted snippets of the matched terms to
+    // search results
+    const jobs = results.map((job) => {
+      const data = job.toObject();
+      data.isSaved = savedJobIds.has(String(job._id));
+      if (isSearch) {
+        data.highlights = buildHighlights(data, filter.$text.$search);
+      }
+      return data;
+    });
+
+    // Return successful response with jobs data (an empty page is not an error)
     return res.status(200).json({
       success: true,
       message: "All jobs fetched successfully.",
-      totalJobs: jobs.length,
+      totalJobs,
+      page,
+      limit,
+      totalPages: Math.ceil(totalJobs / limit),
       jobs,
+      facets,
     });
   } catch (error) {
     // Log error for debugging
@@ -269,9 +543,56 @@ export const getAllJobs = async (req, res) => {
   }
 };
 
+/**
+ * Get open jobs recommended for the logged-in job seeker, best match first.
+ * Each job carries a recommendation score and the reasons it was picked.
+ * Jobs the user already applied to are left out. Supports page and limit.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} A page of recommended jobs or an error message.
+ */
+
+export const getRecommendedJobs = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [recommended, savedJobIds] = await Promise.all([
+      recommendJobs(req.user._id),
+      getSavedJobIds(req.user._id),
+    ]);
+
+    const jobs = recommended
+      .slice(skip, skip + limit)
+      .map(({ job, recommendation }) => ({
+        ...job.toObject(),
+        isSaved: savedJobIds.has(String(job._id)),
+        recommendation,
+      }));
+
+    return res.status(200).json({
+      success: true,
+      message: "Recommended jobs fetched successfully.",
+      totalJobs: recommended.length,
+      page,
+      limit,
+      totalPages: Math.ceil(recommended.length / limit),
+      jobs,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get All Jobs Based on  User Id
  *
+ * Lists jobs in every status; ?status= narrows it to one.
+ *
  * @param {Object} req - The request object, containing user data in req.body.
  * @param {Object} res - The response object.
  * @returns {Object} The created user object or an error message.
@@ -289,8 +610,22 @@ export const getJobsByUserID = async (req, res) => {
       });
     }
 
-    // Fetch jobs posted by the user
-    const jobs = await Job.find({ postedBy: userId });
+    // Fetch jobs posted by the user, optionally with one status
+    const filter = { postedBy: userId };
+    if (req.query.status !== undefined) {
+      if (!JOB_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${JOB_STATUSES.join(", ")}`,
+        });
+      }
+      // Jobs posted before statuses existed count as published
+      filter.status =
+        req.query.status === "published"
+          ? { $in: ["published", null] }
+          : req.query.status;
+    }
+    const jobs = await Job.find(filter);
 
     // Check if jobs were found
     if (jobs.length === 0) {
@@ -352,6 +687,17 @@ export const deleteJob = async (req, res) => {
     // Remove job reference from Company documents
     await Company.updateMany({ jobs: id }, { $pull: { jobs: id } });
 
+    // Let the applicants know the job is gone
+    const applicants = await Application.find({ job: id }).distinct(
+      "applicant"
+    );
+    notifyInBackground(applicants, {
+      type: "job_removed",
+      title: "Job removed",
+      message: `${job.title} has been removed by the employer.`,
+      company: job.company,
+    });
+
     return res.status(200).json({
       success: true,
       message: "Job deleted successfully",
@@ -368,6 +714,161 @@ export const deleteJob = async (req, res) => {
   }
 };
 
+/**
+ * Save (bookmark) a Job for the logged-in user
+ *
+ * @param {Object} req - The request object, containing the job ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const saveJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate Job ID
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Job ID",
+      });
+    }
+
+    // Only open jobs can be saved, like applying (drafts, closed, expired
+    // and hidden jobs are not found)
+    const job = await Job.exists({ _id: id, ...openJobFilter() });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    // Only add the job if it is not saved yet
+    const result = await User.updateOne(
+      { _id: req.user._id, "savedJobs.job": { $ne: id } },
+      { $push: { savedJobs: { job: id, savedAt: new Date() } } }
+    );
+
+    return res.status(result.modifiedCount ? 201 : 200).json({
+      success: true,
+      message: result.modifiedCount
+        ? "Job saved successfully"
+        : "Job is already saved",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a Job from the logged-in user's saved jobs
+ *
+ * @param {Object} req - The request object, containing the job ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const unsaveJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate Job ID (deleted jobs can still be removed from the list)
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Job ID",
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { savedJobs: { job: id } } }
+    );
+
+    if (!result.modifiedCount) {
+      return res.status(404).json({
+        success: false,
+        message: "Job is not in your saved jobs",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Job removed from saved jobs",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the logged-in user's saved Jobs with their company. Jobs that were
+ * deleted or no longer take applications (not published, past their
+ * deadline or filled) are flagged instead of dropped.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The saved jobs or an error message.
+ */
+
+export const getSavedJobs = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("savedJobs")
+      .populate({ path: "savedJobs.job", populate: { path: "company" } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const savedJobs = [...user.savedJobs].sort(
+      (a, b) => b.savedAt - a.savedAt
+    );
+
+    const offerCounts = await getOfferCounts(
+      savedJobs.filter((saved) => saved.job).map((saved) => saved.job._id)
+    );
+
+    const data = savedJobs.map((saved) => {
+      const job = saved.job;
+      const isDeleted = !job;
+      const isClosed = !isDeleted && !isJobOpen(job, offerCounts);
+      return {
+        job,
+        savedAt: saved.savedAt,
+        isDeleted,
+        isClosed,
+        isAvailable: !isDeleted && !isClosed,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Saved jobs fetched successfully",
+      totalJobs: data.length,
+      data,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
 /*
 Creation of job - 
 
@@ -1,7 +1,34 @@
 import mongoose from "mongoose";
 import JobCategory from "../models/job_categories.model.js";
+import Job from "../models/job.model.js";
+import SavedSearch from "../models/saved_search.model.js";
 import { sanitizeInput } from "../utils/SanitizeInput.js";
 
+// Copies the names of their current categories onto jobs. Pulling a single
+// name instead would also remove it when another category has the same name.
+const syncCategoryNames = async (jobIds) => {
+  const jobs = await Job.find({ _id: { $in: jobIds } })
+    .select("categories")
+    .populate("categories", "name")
+    .lean();
+  if (!jobs.length) return;
+
+  await Job.bulkWrite(
+    jobs.map((job) => ({
+      updateOne: {
+        filter: { _id: job._id },
+        update: {
+          $set: {
+            categoryNames: job.categories
+              .filter(Boolean)
+              .map((category) => category.name),
+          },
+        },
+      },
+    }))
+  );
+};
+
 export const createJobCategory = async (req, res) => {
   try {
     const { name } = req.body;
@@ -134,24 +161,34 @@ export const updateJobCategory = async (req, res) => {
     // Sanitize input
     const sanitizedInputs = sanitizeInput(req.body);
 
-    // Update the job category document
-    const updatedJobCategory = await JobCategory.findByIdAndUpdate(
+    // Update the job category document (the old name is needed below)
+    const previousJobCategory = await JobCategory.findByIdAndUpdate(
       id,
       sanitizedInputs,
       {
-        new: true,
         runValidators: true,
       }
     );
 
     // Check if job category was found and updated
-    if (!updatedJobCategory) {
+    if (!previousJobCategory) {
       return res.status(404).json({
         success: false,
         message: "Job category not found",
       });
     }
 
+    const updatedJobCategory = await JobCategory.findById(id);
+
+    // Keep the category name copied on its jobs in sync for text search
+    if (previousJobCategory.name !== updatedJobCategory.name) {
+      await Job.updateMany(
+        { categories: id },
+        { $set: { "categoryNames.$[name]": updatedJobCategory.name } },
+        { arrayFilters: [{ name: previousJobCategory.name }] }
+      );
+    }
+
     // Return successful response with updated job category data
     return res.status(200).json({
       success: true,
@@ -194,6 +231,11 @@ export const deleteJobCategory = async (req, res) => {
       });
     }
 
+    // Remove the category from its jobs
+    const jobIds = await Job.find({ categories: id }).distinct("_id");
+    await Job.updateMany({ categories: id }, { $pull: { categories: id } });
+    await syncCategoryNames(jobIds);
+
     // Return successful response
     return res.status(200).json({
       success: true,
@@ -211,6 +253,93 @@ export const deleteJobCategory = async (req, res) => {
     });
   }
 };
+/**
+ * Merge a duplicate category into another one: its jobs and saved searches
+ * move to the target category and the duplicate is deleted.
+ *
+ * @param {Object} req - The request object, containing the target ID in req.body.into.
+ * @param {Object} res - The response object.
+ * @returns {Object} The target category or an error message.
+ */
+export const mergeJobCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { into } = req.body;
+
+    // Validate category IDs
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(into)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID",
+      });
+    }
+    if (String(id) === String(into)) {
+      return res.status(400).json({
+        success: false,
+        message: "A category cannot be merged into itself",
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      JobCategory.findById(id),
+      JobCategory.findById(into),
+    ]);
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: "Job category not found",
+      });
+    }
+
+    // Add the target first: $addToSet and $pull cannot touch the same array
+    // in one update
+    const jobIds = await Job.find({ categories: id }).distinct("_id");
+    await Job.updateMany(
+      { categories: id },
+      { $addToSet: { categories: target._id } }
+    );
+    await Job.updateMany(
+      { categories: id },
+      { $pull: { categories: source._id } }
+    );
+
+    await syncCategoryNames(jobIds);
+    await SavedSearch.updateMany(
+      { categories: id },
+      { $addToSet: { categories: target._id } }
+    );
+    await SavedSearch.updateMany(
+      { categories: id },
+      { $pull: { categories: source._id } }
+    );
+
+    await JobCategory.updateOne(
+      { _id: target._id },
+      { $addToSet: { jobs: { $each: jobIds } } }
+    );
+    await source.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: `${source.name} merged into ${target.name}`,
+      movedJobs: jobIds.length,
+      data: await JobCategory.findById(target._id),
+    });
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error merging job categories:", error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
 /*
 Create a category
 
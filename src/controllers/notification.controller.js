@@ -0,0 +1,282 @@
+import mongoose from "mongoose";
+import Notification, {
+  NOTIFICATION_TYPES,
+} from "../models/notification.model.js";
+import User from "../models/user.model.js";
+import { parsePagination } from "../utils/jobFilters.js";
+
+/**
+ * Get the notifications of the logged-in user, newest first.
+ * Use ?unread=true to only get unread ones, page/limit to paginate.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} A page of notifications or an error message.
+ */
+
+export const getNotifications = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.unread === "true") {
+      filter.readAt = null;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notifications fetched successfully",
+      total,
+      unreadCount,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: notifications,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the number of unread notifications of the logged-in user.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The unread count or an error message.
+ */
+
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      readAt: null,
+    });
+
+    return res.status(200).json({
+      success: true,
+      unreadCount,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark one notification of the logged-in user as read.
+ *
+ * @param {Object} req - The request object, containing the ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Object} The notification or an error message.
+ */
+
+export const markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID",
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: id,
+      user: req.user._id,
+    });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark all notifications of the logged-in user as read.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} Number of updated notifications or an error message.
+ */
+
+export const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete one notification of the logged-in user.
+ *
+ * @param {Object} req - The request object, containing the ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID",
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: id,
+      user: req.user._id,
+    });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification deleted successfully",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the notification preferences (one switch per event type).
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The preferences or an error message.
+ */
+
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("preferences");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: user.preferences.notifications,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Turn notification types on or off, e.g. { "company_updated": false }.
+ *
+ * @param {Object} req - The request object, containing type/boolean pairs.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated preferences or an error message.
+ */
+
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const updates = {};
+    for (const [type, enabled] of Object.entries(req.body)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification type "${type}"`,
+        });
+      }
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: `Value for "${type}" must be true or false`,
+        });
+      }
+      updates[`preferences.notifications.${type}`] = enabled;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true,
+    }).select("preferences");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: user.preferences.notifications,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
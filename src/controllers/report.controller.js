@@ -0,0 +1,282 @@
+import mongoose from "mongoose";
+import Company from "../models/company.model.js";
+import Job from "../models/job.model.js";
+import Report, {
+  PENDING_REPORT_STATUSES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+} from "../models/report.model.js";
+import { isCompanyMember } from "../middleware/authorize.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import { parsePagination } from "../utils/jobFilters.js";
+import { updateJobVisibility } from "../utils/moderation.js";
+
+const TARGET_MODELS = { job: "Job", company: "Company" };
+
+const serverError = (res, error) =>
+  res.status(500).json({
+    success: false,
+    message: "Internal Server Error. Please try again later.",
+    error: error.message,
+  });
+
+// Files a report of a job or company from req.body ({ reason, details })
+const createReport = async (req, res, targetModel) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${targetModel} ID`,
+    });
+  }
+
+  const { reason } = req.body;
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+    });
+  }
+
+  const target =
+    targetModel === "Job"
+      ? await Job.findById(id).select("company")
+      : await Company.findById(id).select("userId");
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: `${targetModel} not found`,
+    });
+  }
+
+  // Members cannot report their own company or its jobs
+  const company =
+    targetModel === "Job"
+      ? await Company.findById(target.company).select("userId")
+      : target;
+  if (company && isCompanyMember(company, req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: "You cannot report your own company",
+    });
+  }
+
+  const alreadyReported = await Report.exists({
+    targetModel,
+    target: id,
+    reporter: req.user._id,
+    status: { $in: PENDING_REPORT_STATUSES },
+  });
+  if (alreadyReported) {
+    return res.status(409).json({
+      success: false,
+      message: "You have already reported this, it is waiting for review",
+    });
+  }
+
+  const report = await Report.create({
+    targetModel,
+    target: id,
+    reporter: req.user._id,
+    reason,
+    details: sanitizeInput(req.body.details),
+  });
+
+  if (targetModel === "Job") await updateJobVisibility(id);
+
+  return res.status(201).json({
+    success: true,
+    message: "Thank you, the report has been sent to our moderators",
+    data: report,
+  });
+};
+
+/**
+ * Report a job (scam, discriminatory, misleading or duplicate). Jobs with
+ * enough pending reports are hidden until a moderator reviews them.
+ *
+ * @param {Object} req - The request object, containing reason and details in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The report or an error message.
+ */
+
+export const reportJob = async (req, res) => {
+  try {
+    return await createReport(req, res, "Job");
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Report a company (scam, discriminatory, misleading or duplicate).
+ *
+ * @param {Object} req - The request object, containing reason and details in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The report or an error message.
+ */
+
+export const reportCompany = async (req, res) => {
+  try {
+    return await createReport(req, res, "Company");
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Moderation queue: reports, oldest first. Query: status (default: open
+ * and reviewing), targetType=job|company, reason, target (an ID), page and
+ * limit.
+ *
+ * @param {Object} req - The request object, containing filters in req.query.
+ * @param {Object} res - The response object.
+ * @returns {Object} A page of reports or an error message.
+ */
+
+export const getReports = async (req, res) => {
+  try {
+    const { status, targetType, reason, target } = req.query;
+    const filter = { status: { $in: PENDING_REPORT_STATUSES } };
+
+    if (status !== undefined) {
+      if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${REPORT_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = status;
+    }
+    if (targetType !== undefined) {
+      if (!TARGET_MODELS[targetType]) {
+        return res.status(400).json({
+          success: false,
+          message: "targetType must be job or company",
+        });
+      }
+      filter.targetModel = TARGET_MODELS[targetType];
+    }
+    if (reason !== undefined) {
+      if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+        });
+      }
+      filter.reason = reason;
+    }
+    if (target !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(target)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid target ID",
+        });
+      }
+      filter.target = target;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("target", "title name status isHidden company")
+        .populate("reporter", "name email")
+        .populate("reviewedBy", "name"),
+      Report.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reports fetched successfully",
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: reports,
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Review a report: move it to reviewing, resolved or dismissed with an
+ * optional note. With allForTarget: true every pending report of the same
+ * job or company gets the same review. Resolving a job report confirms it:
+ * the job is closed and stays hidden. A hidden job is only shown again once
+ * all its other reports were dismissed.
+ *
+ * @param {Object} req - The request object, containing status, note and allForTarget in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated reports or an error message.
+ */
+
+export const updateReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid report ID",
+      });
+    }
+
+    const { status, note, allForTarget } = req.body;
+    if (!REPORT_STATUSES.includes(status) || status === "open") {
+      return res.status(400).json({
+        success: false,
+        message: "status must be reviewing, resolved or dismissed",
+      });
+    }
+
+    const report = await Report.findById(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found",
+      });
+    }
+
+    const filter =
+      allForTarget === true || allForTarget === "true"
+        ? {
+            targetModel: report.targetModel,
+            target: report.target,
+            status: { $in: PENDING_REPORT_STATUSES },
+          }
+        : { _id: report._id };
+    const isFinal = status !== "reviewing";
+    const { modifiedCount } = await Report.updateMany(filter, {
+      status,
+      resolutionNote: sanitizeInput(note),
+      reviewedBy: req.user._id,
+      reviewedAt: isFinal ? new Date() : null,
+    });
+
+    const visibility =
+      report.targetModel === "Job"
+        ? await updateJobVisibility(report.target, {
+            confirmed: status === "resolved",
+          })
+        : null;
+
+    return res.status(200).json({
+      success: true,
+      message: "Report updated successfully",
+      updated: modifiedCount,
+      jobVisibility: visibility,
+      data: await Report.findById(id),
+    });
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
@@ -0,0 +1,360 @@
+import mongoose from "mongoose";
+import Company from "../models/company.model.js";
+import ResumeSuggestion from "../models/resume_suggestion.model.js";
+import User from "../models/user.model.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import {
+  createResumeSuggestion,
+  readStoredResume,
+  resumeMimeType,
+} from "../utils/resumeSuggestions.js";
+
+const SOCIAL_NETWORKS = ["linkedIn", "github", "twitter"];
+
+// Fields of a suggested entry the user may correct before accepting it
+const EDITABLE_FIELDS = {
+  education: ["degree", "institution", "startDate", "endDate"],
+  experience: ["position", "company", "startDate", "endDate", "description"],
+};
+
+const REQUIRED_FIELDS = {
+  education: ["degree", "institution", "startDate"],
+  experience: ["position", "company", "startDate"],
+};
+
+// Fields that identify an entry, to tell whether it is already on the
+// profile (e.g. the same suggestion applied twice)
+const IDENTITY_FIELDS = {
+  education: ["degree", "institution", "startDate"],
+  experience: ["position", "company", "startDate"],
+};
+
+const identityValue = (value) =>
+  value instanceof Date
+    ? String(value.getTime())
+    : String(value ?? "").trim().toLowerCase();
+
+const isSameEntry = (section, a, b) =>
+  IDENTITY_FIELDS[section].every(
+    (field) => identityValue(a[field]) === identityValue(b[field])
+  );
+
+// Loads a suggestion of the logged-in user. Returns { suggestion } or
+// { status, message }.
+const loadSuggestion = async (id, userId, withText = false) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: "Invalid suggestion ID" };
+  }
+  const query = ResumeSuggestion.findOne({ _id: id, user: userId });
+  const suggestion = await (withText ? query.select("+text") : query);
+  if (!suggestion) {
+    return { status: 404, message: "Resume suggestion not found" };
+  }
+  return { suggestion };
+};
+
+// The selected items of one section: `true` (or { all: true } on the body)
+// selects everything, otherwise a list of item IDs or { id, ...edits }.
+const selectedItems = (body, section) => {
+  if (body.all === true || body[section] === true) {
+    return "all";
+  }
+  return Array.isArray(body[section]) ? body[section] : [];
+};
+
+// Builds the profile entry for a selected education or experience item,
+// applying the user's edits. Returns { entry } or { reason }.
+const buildEntry = async (section, item, edits = {}) => {
+  const entry = {};
+  EDITABLE_FIELDS[section].forEach((field) => {
+    const value = edits[field] !== undefined ? edits[field] : item[field];
+    if (value !== undefined && value !== null && value !== "") {
+      entry[field] = value;
+    }
+  });
+
+  for (const field of ["startDate", "endDate"]) {
+    if (entry[field] === undefined) continue;
+    const date = new Date(entry[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { reason: `${field} is not a valid date` };
+    }
+    entry[field] = date;
+  }
+
+  if (edits.company !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(edits.company)) {
+      return { reason: "Invalid company ID" };
+    }
+    if (!(await Company.exists({ _id: edits.company }))) {
+      return { reason: "Company not found" };
+    }
+  }
+
+  const missing = REQUIRED_FIELDS[section].filter((field) => !entry[field]);
+  if (missing.length) {
+    return { reason: `Missing ${missing.join(", ")}` };
+  }
+
+  ["degree", "institution", "position", "description"].forEach((field) => {
+    if (typeof entry[field] === "string") {
+      entry[field] = sanitizeInput(entry[field]);
+    }
+  });
+  return { entry };
+};
+
+/**
+ * Parse a resume into suggested profile updates. Send a PDF or DOCX file
+ * as "resume", or pick one of the resumes on the profile with resumeUrl
+ * (defaults to the latest one). The file is not added to the profile.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The suggestion and the extracted text or an error message.
+ */
+
+export const parseResume = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    let resume;
+    if (req.file) {
+      resume = {
+        buffer: req.file.buffer,
+        mimeType: req.file.mimetype,
+        originalName: req.file.originalname,
+      };
+    } else {
+      const resumes = user.profile?.resume || [];
+      const url = req.body.resumeUrl || resumes[resumes.length - 1];
+      if (!url || !resumes.includes(url)) {
+        return res.status(400).json({
+          success: false,
+          message: url
+            ? "resumeUrl must be one of the resumes on your profile"
+            : "Upload a resume or add one to your profile first",
+        });
+      }
+      const mimeType = resumeMimeType(url);
+      if (!mimeType) {
+        return res.status(400).json({
+          success: false,
+          message: "Only pdf and docx resumes can be parsed",
+        });
+      }
+      resume = {
+        buffer: await readStoredResume(url),
+        mimeType,
+        url,
+        originalName: user.profile.resumeOriginalName,
+      };
+    }
+
+    let suggestion;
+    try {
+      suggestion = await createResumeSuggestion(user, resume);
+    } catch (error) {
+      return res.status(422).json({
+        success: false,
+        message: "The resume could not be read",
+        error: error.message,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Resume parsed successfully",
+      suggestion,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a resume suggestion of the logged-in user, with the resume text.
+ *
+ * @param {Object} req - The request object, containing the ID in req.params.id.
+ * @param {Object} res - The response object.
+ * @returns {Object} The suggestion or an error message.
+ */
+
+export const getResumeSuggestion = async (req, res) => {
+  try {
+    const { suggestion, status, message } = await loadSuggestion(
+      req.params.id,
+      req.user._id,
+      true
+    );
+    if (!suggestion) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    return res.status(200).json({
+      success: true,
+      suggestion,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accept a resume suggestion in full ({ all: true }) or in part. Per section:
+ * skills: true or a list of skills; education and experience: true or a
+ * list of item IDs, or of { id, ...fields } to correct an item first
+ * (e.g. { id, company } for a company that was not recognised);
+ * socialLinks: true or a list of networks.
+ * Items that cannot be added, or are already on the profile, are returned
+ * in `skipped`, so applying a suggestion again adds nothing twice.
+ *
+ * @param {Object} req - The request object, containing the selection in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated profile or an error message.
+ */
+
+export const applyResumeSuggestion = async (req, res) => {
+  try {
+    const { suggestion, status, message } = await loadSuggestion(
+      req.params.id,
+      req.user._id
+    );
+    if (!suggestion) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    user.profile = user.profile || {};
+    const profile = user.profile;
+    const body = req.body || {};
+    const applied = { skills: 0, education: 0, experience: 0, socialLinks: 0 };
+    const skipped = [];
+
+    // Skills
+    const skills = selectedItems(body, "skills");
+    const wantedSkills =
+      skills === "all"
+        ? suggestion.skills
+        : suggestion.skills.filter((skill) =>
+            skills.some(
+              (selected) =>
+                String(selected).toLowerCase() === skill.toLowerCase()
+            )
+          );
+    profile.skills = profile.skills || [];
+    wantedSkills.forEach((skill) => {
+      const value = sanitizeInput(skill);
+      if (profile.skills.some((s) => s.toLowerCase() === value.toLowerCase())) {
+        return;
+      }
+      profile.skills.push(value);
+      applied.skills += 1;
+    });
+
+    // Education and work history
+    for (const section of ["education", "experience"]) {
+      const selection = selectedItems(body, section);
+      const picks =
+        selection === "all"
+          ? suggestion[section].map((item) => ({ id: String(item._id) }))
+          : selection.map((pick) =>
+              typeof pick === "object" && pick !== null
+                ? { ...pick, id: String(pick.id) }
+                : { id: String(pick) }
+            );
+
+      for (const { id, ...edits } of picks) {
+        const item = mongoose.Types.ObjectId.isValid(id)
+          ? suggestion[section].id(id)
+          : null;
+        if (!item) {
+          skipped.push({ section, id, reason: "Suggestion item not found" });
+          continue;
+        }
+        const { entry, reason } = await buildEntry(section, item, edits);
+        if (!entry) {
+          skipped.push({ section, id, reason });
+          continue;
+        }
+        const isDuplicate = profile[section].some((existing) =>
+          isSameEntry(section, existing, entry)
+        );
+        if (isDuplicate) {
+          skipped.push({ section, id, reason: "Already on your profile" });
+          continue;
+        }
+        profile[section].push(entry);
+        applied[section] += 1;
+      }
+    }
+
+    // Social links
+    const networks = selectedItems(body, "socialLinks");
+    (networks === "all" ? SOCIAL_NETWORKS : networks).forEach((network) => {
+      const url = suggestion.socialLinks?.[network];
+      if (!SOCIAL_NETWORKS.includes(network) || !url) {
+        if (networks !== "all") {
+          skipped.push({
+            section: "socialLinks",
+            id: network,
+            reason: "No suggested link",
+          });
+        }
+        return;
+      }
+      profile.socialLinks = profile.socialLinks || {};
+      profile.socialLinks[network] = url;
+      applied.socialLinks += 1;
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    suggestion.appliedAt = new Date();
+    await suggestion.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Resume suggestion applied successfully",
+      applied,
+      skipped,
+      profile: user.profile,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
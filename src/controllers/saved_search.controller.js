@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import SavedSearch from "../models/saved_search.model.js";
+import JobCategory from "../models/job_categories.model.js";
+import { sanitizeInput } from "../utils/SanitizeInput.js";
+import { JOB_TYPES } from "../utils/jobFilters.js";
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Picks and validates the saved search fields from the request body.
+// Returns { data } or { error }.
+const parseSearchInput = async (body) => {
+  const data = {};
+
+  ["name", "keyword", "location"].forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = sanitizeInput(String(body[field]));
+    }
+  });
+
+  if (body.jobType !== undefined) {
+    const jobTypes = [].concat(body.jobType).filter(Boolean);
+    if (jobTypes.some((type) => !JOB_TYPES.includes(type))) {
+      return { error: "Invalid jobType" };
+    }
+    data.jobType = jobTypes;
+  }
+
+  if (body.categories !== undefined) {
+    const categories = [].concat(body.categories).filter(Boolean);
+    if (!categories.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: "Invalid category ID" };
+    }
+    const found = await JobCategory.countDocuments({
+      _id: { $in: categories },
+    });
+    if (found !== categories.length) {
+      return { error: "One or more job categories are invalid" };
+    }
+    data.categories = categories;
+  }
+
+  if (body.minSalary !== undefined) {
+    if (body.minSalary === null || body.minSalary === "") {
+      data.minSalary = null;
+    } else {
+      const minSalary = Number(body.minSalary);
+      if (!Number.isFinite(minSalary) || minSalary < 0) {
+        return { error: "minSalary must be a positive number" };
+      }
+      data.minSalary = minSalary;
+    }
+  }
+
+  return { data };
+};
+
+/**
+ * Save a job search to get alerts for new matching jobs
+ *
+ * @param {Object} req - The request object, containing the search in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The created saved search or an error message.
+ */
+
+export const createSavedSearch = async (req, res) => {
+  try {
+    const { data, error } = await parseSearchInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required",
+      });
+    }
+
+    const hasCriteria =
+      data.keyword ||
+      data.location ||
+      data.jobType?.length ||
+      data.categories?.length ||
+      data.minSalary;
+    if (!hasCriteria) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one search criterion is required",
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      ...data,
+      user: req.user._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Search saved successfully",
+      data: savedSearch,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the saved searches of the logged-in user
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The saved searches or an error message.
+ */
+
+export const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .populate("categories", "name")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Saved searches fetched successfully",
+      totalSearches: savedSearches.length,
+      data: savedSearches,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a saved search of the logged-in user
+ *
+ * @param {Object} req - The request object, containing the changes in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated saved search or an error message.
+ */
+
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid saved search ID",
+      });
+    }
+
+    const { data, error } = await parseSearchInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: id, user: req.user._id },
+      data,
+      { new: true, runValidators: true }
+    );
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved search not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Saved search updated successfully",
+      data: savedSearch,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a saved search of the logged-in user
+ *
+ * @param {Object} req - The request object, containing the ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid saved search ID",
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOneAndDelete({
+      _id: id,
+      user: req.user._id,
+    });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved search not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${savedSearch.name} deleted successfully`,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error. Please try again later.",
+      error: error.message,
+    });
+  }
+};
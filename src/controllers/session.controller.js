@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import {
+  clearAuthCookies,
+  rotateSession,
+  setAuthCookies,
+} from "../utils/tokens.js";
+
+/**
+ * Issues a new access token and rotates the refresh token.
+ *
+ * @param {Object} req - The request object, with the refreshToken cookie.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message with new cookies or an error message.
+ */
+
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.cookies;
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token is missing",
+      });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) {
+      return clearAuthCookies(res).status(401).json({
+        success: false,
+        message: "Session has been revoked or has expired. Please log in again",
+      });
+    }
+
+    return setAuthCookies(res, tokens).status(200).json({
+      success: true,
+      message: "Session refreshed successfully",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the active sessions of the logged-in user.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The sessions (device, IP, dates) or an error message.
+ */
+
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("device userAgent ip lastUsedAt expiresAt createdAt")
+      .sort({ lastUsedAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Sessions fetched successfully",
+      totalSessions: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: String(session._id) === String(req.user.sid),
+      })),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revokes one session of the logged-in user.
+ *
+ * @param {Object} req - The request object, with the session ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Object} Success message or an error message.
+ */
+
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID",
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    // Revoking the current session is the same as logging out
+    if (String(session._id) === String(req.user.sid)) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revokes all sessions of the logged-in user. With ?keepCurrent=true the
+ * session making the request stays signed in.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} Number of revoked sessions or an error message.
+ */
+
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+    const filter = { user: req.user._id, revokedAt: null };
+    if (keepCurrent) {
+      filter._id = { $ne: req.user.sid };
+    }
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date() });
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Sessions revoked successfully",
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
@@ -1,9 +1,35 @@
 import User from "../models/user.model.js";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import validator from "validator";
 import { sanitizeInput } from "../utils/SanitizeInput.js";
-import getDataUri from "../utils/dataUri.js";
-import cloudinary from "../utils/cloudinary.js";
+import Application from "../models/application.model.js";
+import { deleteStoredKey, getStorage } from "../utils/storage/index.js";
+import Session from "../models/session.model.js";
+import {
+  clearAuthCookies,
+  createSession,
+  getRequestSessionId,
+  issueAuthToken,
+  setAuthCookies,
+} from "../utils/tokens.js";
+import { sendVerificationEmail } from "../utils/emails.js";
+import { PARSABLE_RESUME_TYPES } from "../utils/resumeParser.js";
+import { createResumeSuggestion } from "../utils/resumeSuggestions.js";
+
+// Profile fields a user may set directly. The profile image and resume
+// (with their storage keys) are only set by uploads.
+const editableProfile = (profile) => {
+  if (!profile || typeof profile !== "object") return {};
+  const {
+    profileImage,
+    profileImageKey,
+    resume,
+    resumeKeys,
+    resumeOriginalName,
+    ...fields
+  } = profile;
+  return sanitizeInput(fields);
+};
 
 /**
  * Creates a new user and saves it to the database.
@@ -24,6 +50,13 @@ export const createUser = async (req, res) => {
       });
     }
 
+    if (!["user", "recruiter"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be user or recruiter",
+      });
+    }
+
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({
@@ -32,12 +65,11 @@ export const createUser = async (req, res) => {
       });
     }
 
-    let cloudResponse;
+    let uploaded;
     const file = req.file;
 
     if (file) {
-      const fileUri = getDataUri(file);
-      cloudResponse = await cloudinary.uploader.upload(fileUri.content, {
+      uploaded = await getStorage().upload(file, {
         folder: "profile_pictures", // Define a specific folder for clarity
       });
     }
@@ -48,9 +80,11 @@ export const createUser = async (req, res) => {
       phone,
       password,
       role,
+      isVerified: false,
       profile: {
-        profileImage: cloudResponse ? cloudResponse.secure_url : "", // Save image URL if available
-        ...profile, // Include other profile data if any
+        ...editableProfile(profile), // Include other profile data if any
+        profileImage: uploaded ? uploaded.url : "", // Save image URL if available
+        profileImageKey: uploaded?.key,
       },
     });
 
@@ -61,12 +95,18 @@ export const createUser = async (req, res) => {
       });
     }
 
-    console.log("File:", req.file);
-    console.log("Cloudinary Response:", cloudResponse);
+    // Send the verification link; the account can be used once verified.
+    // A failed email must not fail the signup, the link can be resent.
+    try {
+      const token = await issueAuthToken(user._id, "email_verification");
+      await sendVerificationEmail(user, token);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError.message);
+    }
 
     return res.json({
       success: true,
-      message: "User created successfully",
+      message: "User created successfully. Please verify your email address",
       user,
     });
   } catch (error) {
@@ -124,21 +164,25 @@ export const loginUser = async (req, res) => {
       });
     }
 
-    const userToken = {
-      _id: user._id,
-    };
+    if (user.isVerified === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before logging in",
+      });
+    }
 
-    const token = jwt.sign(userToken, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: "Your account has been suspended",
+      });
+    }
+
+    // Short-lived access token plus a rotating refresh token for this device
+    const tokens = await createSession(user, req);
 
-    return res
+    return setAuthCookies(res, tokens)
       .status(200)
-      .cookie("token", token, {
-        expires: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        httpOnly: true,
-        sameSite: "strict",
-      })
       .json({
         success: true,
         message: `Welcome, ${user.name}`,
@@ -160,15 +204,17 @@ export const loginUser = async (req, res) => {
  * @returns {Object} The created user object or an error message.
  */
 
-export const logoutUser = (req, res) => {
+export const logoutUser = async (req, res) => {
   try {
-    return res
+    // Revoke the session server-side so a copied token stops working. Found
+    // by the refresh cookie, so this works after the access token expired.
+    const sessionId = await getRequestSessionId(req);
+    if (sessionId) {
+      await Session.findByIdAndUpdate(sessionId, { revokedAt: new Date() });
+    }
+
+    return clearAuthCookies(res)
       .status(200)
-      .cookie("token", null, {
-        expires: new Date(Date.now()),
-        httpOnly: true,
-        sameSite: "strict",
-      })
       .json({
         success: true,
         message: "Logged out successfully",
@@ -204,27 +250,40 @@ export const updateProfile = async (req, res) => {
       });
     }
 
-    let cloudResponse;
+    let uploaded;
     const file = req.file;
+    const isImage = file && file.mimetype.startsWith("image/");
+
+    // Remember the uploaded files so replaced ones can be removed afterwards
+    const previousImageKey = user.profile?.profileImageKey;
+    const previousResumes = [...(user.profile?.resume || [])];
+    const previousResumeKeys = [...(user.profile?.resumeKeys || [])];
 
     // Handle file upload
     if (file) {
-      const fileUri = getDataUri(file);
-      cloudResponse = await cloudinary.uploader.upload(fileUri.content, {
-        folder: "profile_pictures",
+      uploaded = await getStorage().upload(file, {
+        folder: isImage ? "profile_pictures" : "resumes",
       });
     }
 
-    // Update fields if they are provided and different
-    if (email && email !== user.email) {
-      const existingEmail = await User.findOne({ email });
+    // A new email address is only switched to once it is verified
+    const newEmail =
+      typeof email === "string" ? email.trim().toLowerCase() : "";
+    const emailChanged = Boolean(newEmail) && newEmail !== user.email;
+    if (emailChanged) {
+      if (!validator.isEmail(newEmail)) {
+        return res.status(400).json({
+          success: false,
+          message: "Please fill a valid email address",
+        });
+      }
+      const existingEmail = await User.findOne({ email: newEmail });
       if (existingEmail) {
         return res.status(400).json({
           success: false,
           message: "User with this email already exists",
         });
       }
-      user.email = sanitizeInput(email);
     }
 
     user.name = sanitizeInput(name) || user.name;
@@ -233,15 +292,17 @@ export const updateProfile = async (req, res) => {
     // Update profile object if it exists, or initialize it
     user.profile = user.profile || {};
     if (profile) {
-      user.profile = { ...user.profile, ...sanitizeInput(profile) };
+      user.profile = { ...user.profile, ...editableProfile(profile) };
     }
 
     // Update resume and profile image if file was uploaded
-    if (cloudResponse) {
-      if (file.mimetype.startsWith('image/')) {
-        user.profile.profileImage = cloudResponse.secure_url;
+    if (uploaded) {
+      if (isImage) {
+        user.profile.profileImage = uploaded.url;
+        user.profile.profileImageKey = uploaded.key;
       } else {
-        user.profile.resume = cloudResponse.secure_url;
+        user.profile.resume = uploaded.url;
+        user.profile.resumeKeys = [uploaded.key];
         user.profile.resumeOriginalName = file.originalname;
       }
     }
@@ -249,10 +310,59 @@ export const updateProfile = async (req, res) => {
     // Save updated user profile
     const updatedUser = await user.save();
 
+    // Clean up replaced files, by the keys recorded at upload. Resumes
+    // attached to applications are kept.
+    if (uploaded && isImage) {
+      await deleteStoredKey(previousImageKey);
+    }
+    if (uploaded && !isImage) {
+      const storage = getStorage();
+      for (const url of previousResumes) {
+        const key = storage.keyFromUrl(url);
+        if (!key || !previousResumeKeys.includes(key)) continue;
+        const inUse = await Application.exists({ "resumeFile.url": url });
+        if (!inUse) await deleteStoredKey(key);
+      }
+    }
+
+    // Send the confirmation link to the new address. A failed email must
+    // not fail the update, the change can be requested again.
+    if (emailChanged) {
+      try {
+        const token = await issueAuthToken(user._id, "email_verification", {
+          email: newEmail,
+        });
+        await sendVerificationEmail(
+          { name: updatedUser.name, email: newEmail },
+          token
+        );
+      } catch (mailError) {
+        console.error("Error sending verification email:", mailError.message);
+      }
+    }
+
+    // Suggest profile updates from an uploaded PDF or DOCX resume
+    let resumeSuggestion = null;
+    if (uploaded && !isImage && PARSABLE_RESUME_TYPES[file.mimetype]) {
+      try {
+        resumeSuggestion = await createResumeSuggestion(updatedUser, {
+          buffer: file.buffer,
+          mimeType: file.mimetype,
+          url: uploaded.url,
+          originalName: file.originalname,
+        });
+      } catch (error) {
+        console.error("Error parsing resume:", error.message);
+      }
+    }
+
     return res.status(200).json({
       success: true,
-      message: "Profile updated successfully",
+      message: emailChanged
+        ? "Profile updated successfully. Please verify your new email address"
+        : "Profile updated successfully",
       updatedUser,
+      resumeSuggestion,
     });
   } catch (error) {
     return res.status(500).json({
@@ -261,4 +371,52 @@ export const updateProfile = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+/**
+ * Update the logged-in user's preferences (job alert frequency).
+ *
+ * @param {Object} req - The request object, containing preferences in req.body.
+ * @param {Object} res - The response object.
+ * @returns {Object} The updated preferences or an error message.
+ */
+
+export const updatePreferences = async (req, res) => {
+  try {
+    const { jobAlertFrequency } = req.body;
+    const updates = {};
+
+    if (jobAlertFrequency !== undefined) {
+      const frequencies = ["instant", "daily", "weekly", "off"];
+      if (!frequencies.includes(jobAlertFrequency)) {
+        return res.status(400).json({
+          success: false,
+          message: `jobAlertFrequency must be one of: ${frequencies.join(", ")}`,
+        });
+      }
+      updates["preferences.jobAlertFrequency"] = jobAlertFrequency;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true,
+    }).select("preferences");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Preferences updated successfully",
+      preferences: user.preferences,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Internal Server Error, please try again",
+      error: error.message,
+    });
+  }
+};
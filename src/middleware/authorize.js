@@ -0,0 +1,281 @@
+import mongoose from "mongoose";
+import Application from "../models/application.model.js";
+import Company from "../models/company.model.js";
+import Job from "../models/job.model.js";
+import User from "../models/user.model.js";
+
+// Consistent 403 response for every authorization failure
+const forbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message: message || "Forbidden. You are not allowed to perform this action",
+  });
+
+const invalidId = (res, label) =>
+  res.status(400).json({
+    success: false,
+    message: `Invalid ${label} ID`,
+  });
+
+const serverError = (res, error) =>
+  res.status(500).json({
+    success: false,
+    message: "Internal Server Error. Please try again later.",
+    error: error.message,
+  });
+
+/**
+ * Checks whether the user is one of the members (userId) of a company.
+ *
+ * @param {Object} company - Company document (userId may be populated or not).
+ * @param {String} userId - ID of the user to check.
+ * @returns {Boolean}
+ */
+export const isCompanyMember = (company, userId) =>
+  Boolean(company) &&
+  company.userId.some(
+    (member) => String(member._id || member) === String(userId)
+  );
+
+/**
+ * Checks whether the user's role in a company allows an action.
+ *
+ * @param {Object} company - Company document (with userId and members).
+ * @param {String} userId - ID of the user to check.
+ * @param {String} permission - Key of COMPANY_PERMISSIONS.
+ * @returns {Boolean}
+ */
+export const hasCompanyPermission = (company, userId, permission) =>
+  Boolean(company) && company.can(userId, permission);
+
+/**
+ * Allows the request only when the logged-in user has one of the given roles.
+ * The role is loaded from the database because the token only carries the ID.
+ *
+ * @param {...String} roles - Allowed User.role values.
+ * @returns {Function} Express middleware.
+ */
+export const authorizeRoles =
+  (...roles) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user.role) {
+        const user = await User.findById(req.user._id).select("role");
+        if (!user) {
+          return res.status(401).json({
+            success: false,
+            message: "User not found",
+          });
+        }
+        req.user.role = user.role;
+      }
+
+      if (!roles.includes(req.user.role)) {
+        return forbidden(
+          res,
+          `Role '${req.user.role}' is not allowed to access this resource`
+        );
+      }
+
+      next();
+    } catch (error) {
+      return serverError(res, error);
+    }
+  };
+
+/**
+ * Allows the request only for members of the company in req.params.id
+ * whose role grants the permission (see COMPANY_PERMISSIONS).
+ * The company is attached to req.company.
+ *
+ * @param {String} permission
+ * @returns {Function} Express middleware.
+ */
+export const requireCompanyPermission =
+  (permission) =>
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return invalidId(res, "Company");
+      }
+
+      const company = await Company.findById(id);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: "Company not found",
+        });
+      }
+
+      if (!isCompanyMember(company, req.user._id)) {
+        return forbidden(res, "You are not a member of this company");
+      }
+      if (!company.can(req.user._id, permission)) {
+        return forbidden(
+          res,
+          "Your role in this company does not allow this action"
+        );
+      }
+
+      req.company = company;
+      next();
+    } catch (error) {
+      return serverError(res, error);
+    }
+  };
+
+// Editing the company details
+export const canManageCompany = requireCompanyPermission("manageCompany");
+
+/**
+ * Allows posting a job only for members of the company in req.body.company
+ * who may post jobs. Missing or unknown companies are left to the
+ * controller's validation.
+ */
+export const canPostForCompany = async (req, res, next) => {
+  try {
+    const { company: companyId } = req.body;
+    if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+      return next();
+    }
+
+    const company = await Company.findById(companyId);
+    if (company && !company.can(req.user._id, "postJobs")) {
+      return forbidden(
+        res,
+        "You can only post jobs for a company where you are a recruiter"
+      );
+    }
+
+    next();
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Allows the request only for members of the company that owns the job in
+ * req.params.id (or req.params.jobId) whose role grants the permission.
+ * The job is attached to req.job.
+ *
+ * @param {String} permission - Key of COMPANY_PERMISSIONS.
+ * @returns {Function} Express middleware.
+ */
+export const requireJobPermission =
+  (permission) =>
+  async (req, res, next) => {
+    try {
+      const id = req.params.jobId || req.params.id;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return invalidId(res, "Job");
+      }
+
+      const job = await Job.findById(id).populate(
+        "company",
+        "userId members"
+      );
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
+
+      if (!hasCompanyPermission(job.company, req.user._id, permission)) {
+        return forbidden(res, "You are not allowed to manage this job");
+      }
+
+      req.job = job;
+      next();
+    } catch (error) {
+      return serverError(res, error);
+    }
+  };
+
+// Editing and deleting a job
+export const canManageJob = requireJobPermission("postJobs");
+
+/**
+ * Allows the request only for members of the company that owns the job the
+ * application in req.params.applicationId was made for, whose role lets
+ * them manage applications. The application is attached to req.application.
+ */
+export const canManageApplication = async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+      return invalidId(res, "application");
+    }
+
+    const application = await Application.findById(applicationId).populate({
+      path: "job",
+      select: "company postedBy",
+      populate: { path: "company", select: "userId members" },
+    });
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found.",
+      });
+    }
+
+    if (
+      !application.job ||
+      !hasCompanyPermission(
+        application.job.company,
+        req.user._id,
+        "manageApplications"
+      )
+    ) {
+      return forbidden(
+        res,
+        "Only recruiters of the hiring company can manage this application"
+      );
+    }
+
+    req.application = application;
+    next();
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
+
+/**
+ * Allows the request for the applicant of the application in
+ * req.params.applicationId or for recruiters of the hiring company.
+ */
+export const canViewApplication = async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+      return invalidId(res, "application");
+    }
+
+    const application = await Application.findById(applicationId)
+      .select("applicant job")
+      .populate({
+        path: "job",
+        select: "company",
+        populate: { path: "company", select: "userId" },
+      });
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found.",
+      });
+    }
+
+    const isApplicant = String(application.applicant) === String(req.user._id);
+    const isRecruiter =
+      Boolean(application.job) &&
+      isCompanyMember(application.job.company, req.user._id);
+    if (!isApplicant && !isRecruiter) {
+      return forbidden(res, "You are not allowed to view this application");
+    }
+
+    next();
+  } catch (error) {
+    return serverError(res, error);
+  }
+};
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
+import Session from "../models/session.model.js";
 
-export const isAuthenticated = (req, res, next) => {
+export const isAuthenticated = async (req, res, next) => {
   const token = req.cookies.token;
 
   if (!token) {
@@ -12,6 +13,20 @@ export const isAuthenticated = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+    if (
+      !session ||
+      !session.isActive() ||
+      String(session.user) !== String(decoded._id)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized. Session has been revoked or has expired",
+      });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -27,3 +27,109 @@ export const singleUpload = multer({
     );
   },
 }).single("file");
+
+// Resumes attached to job applications: PDF or DOCX only
+const RESUME_TYPES = {
+  ".pdf": "application/pdf",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+};
+
+const resumeMulter = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5 MB file size limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (RESUME_TYPES[extname] && RESUME_TYPES[extname] === file.mimetype) {
+      return cb(null, true);
+    }
+    cb(
+      new Error("Unsupported file type. Only pdf and docx resumes are allowed.")
+    );
+  },
+}).single("resume");
+
+// Optional "resume" file field; upload errors are answered with a 400
+export const resumeUpload = (req, res, next) =>
+  resumeMulter(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next();
+  });
+
+// Company logo and cover image: optional "logo" and "coverImage" fields
+const IMAGE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+};
+
+const companyImagesMulter = multer({
+  storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2 MB file size limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (IMAGE_TYPES[extname] && IMAGE_TYPES[extname] === file.mimetype) {
+      return cb(null, true);
+    }
+    cb(
+      new Error(
+        "Unsupported file type. Only png, jpg, jpeg and webp images are allowed."
+      )
+    );
+  },
+}).fields([
+  { name: "logo", maxCount: 1 },
+  { name: "coverImage", maxCount: 1 },
+]);
+
+// Upload errors are answered with a 400
+export const companyImagesUpload = (req, res, next) =>
+  companyImagesMulter(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next();
+  });
+
+// Bulk job imports: one CSV or JSON file in the "file" field. Browsers send
+// CSV files with all sorts of types, so only the extension is checked.
+const jobImportMulter = multer({
+  storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1 MB file size limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if ([".csv", ".json"].includes(extname)) {
+      return cb(null, true);
+    }
+    cb(
+      new Error("Unsupported file type. Only csv and json files are allowed.")
+    );
+  },
+}).single("file");
+
+// Upload errors are answered with a 400
+export const jobImportUpload = (req, res, next) =>
+  jobImportMulter(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next();
+  });
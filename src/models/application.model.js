@@ -1,5 +1,52 @@
 import mongoose from "mongoose";
 
+export const APPLICATION_STATUSES = [
+  "Applied",
+  "Reviewed",
+  "Interview",
+  "Offered",
+  "Rejected",
+];
+
+// Allowed moves from each status. "Rejected" is final.
+export const STATUS_TRANSITIONS = {
+  Applied: ["Reviewed", "Interview", "Rejected"],
+  Reviewed: ["Interview", "Offered", "Rejected"],
+  Interview: ["Offered", "Rejected"],
+  Offered: ["Rejected"],
+  Rejected: [],
+};
+
+// One entry per status change, oldest first
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true,
+    },
+    previousStatus: {
+      type: String,
+      enum: [...APPLICATION_STATUSES, null],
+      default: null,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const applicationSchema = new mongoose.Schema(
   {
     job: {
@@ -14,15 +61,26 @@ const applicationSchema = new mongoose.Schema(
       required: true,
       index: true, // Index for faster querying
     },
+    // Link to the resume download endpoint (a plain URL on older applications)
     resume: {
       type: String,
       required: true,
     },
+    resumeFile: {
+      // "upload": attached when applying, "profile": one of profile.resume
+      source: { type: String, enum: ["upload", "profile"] },
+      url: { type: String }, // Storage URL, never sent to clients directly
+      key: { type: String }, // Storage key of uploaded files
+      originalName: { type: String },
+      size: { type: Number },
+      mimeType: { type: String },
+    },
     status: {
       type: String,
-      enum: ["Applied", "Reviewed", "Interview", "Offered", "Rejected"],
+      enum: APPLICATION_STATUSES,
       default: "Applied",
     },
+    statusHistory: [statusHistorySchema],
     coverLetter: {
       type: String,
       trim: true, // Ensure no leading/trailing whitespace
@@ -31,5 +89,16 @@ const applicationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Hide the storage location; files are served by the download endpoint
+applicationSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.resumeFile) {
+      delete ret.resumeFile.url;
+      delete ret.resumeFile.key;
+    }
+    return ret;
+  },
+});
+
 const Application = mongoose.model("Application", applicationSchema);
 export default Application;
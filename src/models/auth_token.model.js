@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Single-use tokens sent by email. Only the hash of the token is stored.
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // MongoDB removes expired tokens
+    },
+    // New address of an email change, switched to once verified. Null when
+    // the token verifies the account's current address.
+    email: { type: String, default: null },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+export default AuthToken;
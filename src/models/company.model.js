@@ -1,5 +1,38 @@
 import mongoose from "mongoose";
 
+export const COMPANY_ROLES = ["owner", "admin", "recruiter", "viewer"];
+
+// What each member role may do
+export const COMPANY_PERMISSIONS = {
+  deleteCompany: ["owner"],
+  transferOwnership: ["owner"],
+  manageCompany: ["owner", "admin"], // edit the company details
+  manageMembers: ["owner", "admin"], // invite, change roles, remove
+  postJobs: ["owner", "admin", "recruiter"], // post, edit and delete jobs
+  manageApplications: ["owner", "admin", "recruiter"], // statuses, interviews
+  viewApplications: ["owner", "admin", "recruiter", "viewer"],
+  viewMembers: ["owner", "admin", "recruiter", "viewer"],
+};
+
+export const COMPANY_SIZES = [
+  "1-10",
+  "11-50",
+  "51-200",
+  "201-500",
+  "501-1000",
+  "1001-5000",
+  "5000+",
+];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: COMPANY_ROLES, required: true },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const companySchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
@@ -7,13 +40,124 @@ const companySchema = new mongoose.Schema(
     website: { type: String, trim: true },
     location: { type: String },
     logo: { type: String, trim: true },
+    coverImage: { type: String, trim: true },
+    // Storage keys of the uploaded logo and cover image. Replaced or removed
+    // images are deleted by these keys only.
+    imageKeys: {
+      logo: { type: String },
+      coverImage: { type: String },
+    },
+    industry: { type: String, trim: true },
+    companySize: { type: String, enum: COMPANY_SIZES },
+    foundedYear: {
+      type: Number,
+      min: [1800, "Founded year must be after 1800"],
+      validate: {
+        validator: (year) => year <= new Date().getFullYear(),
+        message: "Founded year cannot be in the future",
+      },
+    },
+    headquarters: { type: String, trim: true },
+    socialLinks: {
+      linkedIn: {
+        type: String,
+        trim: true,
+        match: [
+          /^https?:\/\/(www\.)?linkedin\.com\/.*$/,
+          "Please fill a valid LinkedIn URL",
+        ],
+      },
+      twitter: {
+        type: String,
+        trim: true,
+        match: [
+          /^https?:\/\/(www\.)?(twitter|x)\.com\/.*$/,
+          "Please fill a valid Twitter URL",
+        ],
+      },
+      facebook: {
+        type: String,
+        trim: true,
+        match: [
+          /^https?:\/\/(www\.)?facebook\.com\/.*$/,
+          "Please fill a valid Facebook URL",
+        ],
+      },
+      instagram: {
+        type: String,
+        trim: true,
+        match: [
+          /^https?:\/\/(www\.)?instagram\.com\/.*$/,
+          "Please fill a valid Instagram URL",
+        ],
+      },
+      github: {
+        type: String,
+        trim: true,
+        match: [
+          /^https?:\/\/(www\.)?github\.com\/.*$/,
+          "Please fill a valid GitHub URL",
+        ],
+      },
+    },
+    benefits: [{ type: String, trim: true }],
+    // Checked by an admin
+    isVerified: { type: Boolean, default: false },
+    verifiedAt: { type: Date, default: null },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Averages of the company's reviews, kept up to date by
+    // CompanyReview.updateCompanyRatings()
+    ratings: {
+      average: { type: Number, default: null },
+      count: { type: Number, default: 0 },
+      culture: { type: Number, default: null },
+      pay: { type: Number, default: null },
+      management: { type: Number, default: null },
+    },
     jobs: [{ type: mongoose.Schema.Types.ObjectId, ref: "Job" }],
+    // IDs of all members, whatever their role. Kept in sync with `members`
+    // by setMembers() so membership can be queried with { userId }.
     userId: [
       { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     ],
+    members: [memberSchema],
   },
   { timestamps: true }
 );
 
+// Companies created before member roles existed only have userId: the
+// first member is taken as the owner and the others as admins
+companySchema.methods.getMembers = function () {
+  if (this.members?.length) return this.members;
+  return (this.userId || []).map((member, index) => ({
+    user: member._id || member,
+    role: index === 0 ? "owner" : "admin",
+  }));
+};
+
+// Role of a user in the company, or null for non-members
+companySchema.methods.getMemberRole = function (userId) {
+  const member = this.getMembers().find(
+    (item) => String(item.user._id || item.user) === String(userId)
+  );
+  return member ? member.role : null;
+};
+
+// Whether a user's role allows an action of COMPANY_PERMISSIONS
+companySchema.methods.can = function (userId, permission) {
+  const role = this.getMemberRole(userId);
+  return Boolean(role) && COMPANY_PERMISSIONS[permission].includes(role);
+};
+
+// Replaces the members and keeps userId in sync
+companySchema.methods.setMembers = function (members) {
+  this.members = members;
+  this.userId = members.map((member) => member.user);
+};
+
 const Company = mongoose.model("Company", companySchema);
 export default Company;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { COMPANY_ROLES } from "./company.model.js";
+
+// Invitation to join a company team. The invitee accepts or declines it
+// while logged in with the invited email address.
+const companyInvitationSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    // Ownership is only ever transferred, never given by invitation
+    role: {
+      type: String,
+      enum: COMPANY_ROLES.filter((role) => role !== "owner"),
+      default: "recruiter",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked"],
+      default: "pending",
+    },
+    respondedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Whether the invitation can still be accepted or declined
+companyInvitationSchema.methods.isOpen = function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+};
+
+const CompanyInvitation = mongoose.model(
+  "CompanyInvitation",
+  companyInvitationSchema
+);
+export default CompanyInvitation;
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import Company from "./company.model.js";
+
+const starRating = (label, required = false) => ({
+  type: Number,
+  required: required ? [true, `${label} rating is required`] : false,
+  min: [1, `${label} rating must be between 1 and 5`],
+  max: [5, `${label} rating must be between 1 and 5`],
+  validate: {
+    validator: Number.isInteger,
+    message: `${label} rating must be a whole number of stars`,
+  },
+});
+
+// A review of a company by a job seeker or (former) employee. One per user
+// and company. The company can post one public reply.
+const companyReviewSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    relationship: {
+      type: String,
+      enum: ["candidate", "current_employee", "former_employee"],
+      default: "candidate",
+    },
+    rating: starRating("Overall", true),
+    cultureRating: starRating("Culture"),
+    payRating: starRating("Pay"),
+    managementRating: starRating("Management"),
+    title: { type: String, trim: true, maxlength: 150 },
+    pros: { type: String, trim: true, maxlength: 5000 },
+    cons: { type: String, trim: true, maxlength: 5000 },
+    // The author is hidden from everyone else
+    isAnonymous: { type: Boolean, default: false },
+    reply: {
+      message: { type: String, trim: true, maxlength: 5000 },
+      author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      repliedAt: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+companyReviewSchema.index({ company: 1, author: 1 }, { unique: true });
+companyReviewSchema.index({ company: 1, createdAt: -1 });
+
+// Rounded to one decimal, null without ratings
+const roundRating = (value) =>
+  value == null ? null : Math.round(value * 10) / 10;
+
+/**
+ * Recomputes the rating averages stored on a company.
+ *
+ * @param {String} companyId
+ * @returns {Promise<Object>} The new ratings.
+ */
+companyReviewSchema.statics.updateCompanyRatings = async function (companyId) {
+  const [summary] = await this.aggregate([
+    { $match: { company: new mongoose.Types.ObjectId(String(companyId)) } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+        culture: { $avg: "$cultureRating" },
+        pay: { $avg: "$payRating" },
+        management: { $avg: "$managementRating" },
+      },
+    },
+  ]);
+
+  const ratings = {
+    average: roundRating(summary?.average),
+    count: summary?.count || 0,
+    culture: roundRating(summary?.culture),
+    pay: roundRating(summary?.pay),
+    management: roundRating(summary?.management),
+  };
+  await Company.updateOne({ _id: companyId }, { ratings });
+  return ratings;
+};
+
+const CompanyReview = mongoose.model("CompanyReview", companyReviewSchema);
+export default CompanyReview;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const slotSchema = new mongoose.Schema({
+  start: { type: Date, required: [true, "Slot start time is required"] },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: [5, "Interviews must be at least 5 minutes long"],
+    max: [8 * 60, "Interviews can be at most 8 hours long"],
+  },
+});
+
+// One interview round for an application. One side proposes time slots and
+// the other side picks one of them.
+const interviewSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: true,
+      index: true,
+    },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", required: true },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    candidate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    interviewers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    title: { type: String, trim: true },
+    location: { type: String, trim: true },
+    meetingLink: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/.+$/, "Please fill a valid meeting link"],
+    },
+    notes: { type: String, trim: true },
+    slots: {
+      type: [slotSchema],
+      validate: {
+        validator: (slots) => slots.length > 0,
+        message: "At least one time slot is required",
+      },
+    },
+    // Which side offered the current slots: the other side picks one
+    proposedBy: {
+      type: String,
+      enum: ["recruiter", "candidate"],
+      default: "recruiter",
+    },
+    selectedSlot: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Start of the selected slot, kept for querying upcoming interviews
+    scheduledAt: { type: Date, default: null, index: true },
+    status: {
+      type: String,
+      enum: ["proposed", "scheduled", "cancelled"],
+      default: "proposed",
+    },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelReason: { type: String, trim: true },
+    // Incremented on every change so calendar apps update their copy
+    sequence: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// The slot that was picked, or null
+interviewSchema.methods.getSelectedSlot = function () {
+  return this.selectedSlot ? this.slots.id(this.selectedSlot) : null;
+};
+
+const Interview = mongoose.model("Interview", interviewSchema);
+export default Interview;
@@ -1,5 +1,23 @@
 import mongoose from "mongoose";
 
+export const JOB_STATUSES = [
+  "draft",
+  "published",
+  "paused",
+  "closed",
+  "expired",
+];
+
+// Status changes a recruiter may make through PUT /job/:id/status. Jobs
+// also close on their own once filled and expire after expiresAt.
+export const JOB_STATUS_TRANSITIONS = {
+  draft: ["published", "closed"],
+  published: ["paused", "closed"],
+  paused: ["published", "closed"],
+  closed: ["published"],
+  expired: ["published", "closed"],
+};
+
 const jobSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -45,9 +63,66 @@ const jobSchema = new mongoose.Schema(
     },
 
     applicants: [{ type: mongoose.Schema.Types.ObjectId, ref: "Application" }],
+
+    // Only published jobs are listed and take applications. Jobs posted
+    // before statuses existed have none and count as published.
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "published",
+      index: true,
+    },
+
+    // Last day to apply; the job stays visible until it expires
+    applicationDeadline: { type: Date },
+
+    // The job moves to "expired" once this date has passed
+    expiresAt: { type: Date },
+
+    publishedAt: { type: Date },
+
+    closedAt: { type: Date },
+
+    // "filled" jobs reopen by themselves if an offer is withdrawn; jobs
+    // closed by an admin cannot be reopened by the company
+    closedReason: { type: String, enum: ["manual", "filled", "admin"] },
+
+    // Set once enough users report the job (see utils/moderation.js) and
+    // cleared when moderators review the reports
+    isHidden: { type: Boolean, default: false },
+
+    hiddenAt: { type: Date, default: null },
+
+    // Copies of the company and category names, kept in sync by the
+    // controllers, so they can be part of the full-text index
+    companyName: { type: String },
+
+    categoryNames: [{ type: String }],
   },
   { timestamps: true }
 );
 
+// Full-text search index. A collection can only have one text index, so every
+// searchable field lives here with its relevance weight.
+jobSchema.index(
+  {
+    title: "text",
+    companyName: "text",
+    categoryNames: "text",
+    requirements: "text",
+    description: "text",
+  },
+  {
+    name: "job_text_search",
+    weights: {
+      title: 10,
+      companyName: 5,
+      categoryNames: 4,
+      requirements: 3,
+      description: 1,
+    },
+  }
+);
+
 const Job = mongoose.model("Job", jobSchema);
 export default Job;
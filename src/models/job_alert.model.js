@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// A new job that matched a saved search. Instant alerts are sent right away,
+// daily and weekly ones wait here until the next digest.
+const jobAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    savedSearch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SavedSearch",
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    frequency: {
+      type: String,
+      enum: ["instant", "daily", "weekly"],
+      required: true,
+    },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+jobAlertSchema.index({ sentAt: 1, frequency: 1 });
+// One alert per job per user, even if several searches match
+jobAlertSchema.index({ user: 1, job: 1 }, { unique: true });
+
+const JobAlert = mongoose.model("JobAlert", jobAlertSchema);
+export default JobAlert;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Every event that creates a notification. Users can turn each one off.
+export const NOTIFICATION_TYPES = [
+  "application_submitted", // to recruiters: new application on their job
+  "application_status_changed", // to the applicant
+  "job_removed", // to applicants: the job they applied to was deleted
+  "job_moderated", // to the company team: an admin closed one of its jobs
+  "company_updated", // to the other members of a company
+  "company_deleted", // to the other members of a company
+  "company_invitation", // to a user invited to a company team
+  "company_team_changed", // to members: joins, role changes, removals
+  "review_replied", // to the author of a company review
+  "interview_proposed", // to the side that has to pick a time slot
+  "interview_scheduled", // to the side that proposed the slots
+  "interview_cancelled", // to the other side
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: { type: String, required: true },
+    message: { type: String, default: "" },
+    // References to what the notification is about (all optional)
+    application: { type: mongoose.Schema.Types.ObjectId, ref: "Application" },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+    company: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+export default Notification;
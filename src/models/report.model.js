@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "scam",
+  "discriminatory",
+  "misleading",
+  "duplicate",
+];
+
+export const REPORT_STATUSES = ["open", "reviewing", "resolved", "dismissed"];
+
+// Reports waiting for a moderator
+export const PENDING_REPORT_STATUSES = ["open", "reviewing"];
+
+// A user's report of a job or company, reviewed by admins in the
+// moderation queue
+const reportSchema = new mongoose.Schema(
+  {
+    targetModel: {
+      type: String,
+      enum: ["Job", "Company"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetModel",
+      required: true,
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: [true, "A reason is required"],
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Details cannot be longer than 2000 characters"],
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    // Filled in by the moderator
+    resolutionNote: { type: String, trim: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ targetModel: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+export default Report;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const educationSuggestionSchema = new mongoose.Schema({
+  degree: String,
+  institution: String,
+  startDate: Date,
+  endDate: Date,
+  // Profile fields that could not be read from the resume
+  missing: [String],
+});
+
+const experienceSuggestionSchema = new mongoose.Schema({
+  position: String,
+  // Company name as written in the resume, and the matching company if any
+  companyName: String,
+  company: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+  startDate: Date,
+  endDate: Date,
+  description: String,
+  missing: [String],
+});
+
+// Profile changes suggested from a parsed resume. Only what is not on the
+// profile yet is suggested; the user accepts all of it or picks items.
+const resumeSuggestionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    resumeUrl: { type: String },
+    resumeOriginalName: { type: String },
+    text: { type: String, select: false },
+    skills: [String],
+    education: [educationSuggestionSchema],
+    experience: [experienceSuggestionSchema],
+    socialLinks: {
+      linkedIn: String,
+      github: String,
+      twitter: String,
+    },
+    // Found in the resume but not part of the profile, for reference
+    links: [String],
+    emails: [String],
+    phones: [String],
+    appliedAt: { type: Date, default: null },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // MongoDB removes old suggestions
+    },
+  },
+  { timestamps: true }
+);
+
+const ResumeSuggestion = mongoose.model(
+  "ResumeSuggestion",
+  resumeSuggestionSchema
+);
+export default ResumeSuggestion;
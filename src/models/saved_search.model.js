@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    keyword: { type: String, trim: true },
+    location: { type: String, trim: true },
+    jobType: [
+      {
+        type: String,
+        enum: ["Full-time", "Part-time", "Contract", "Internship"],
+      },
+    ],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "JobCategory" }],
+    minSalary: { type: Number, min: 0 },
+  },
+  { timestamps: true }
+);
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema);
+export default SavedSearch;
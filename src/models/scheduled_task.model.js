@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Run state of a recurring background task (see utils/scheduler.js). The
+// handlers live in code; this document is shared by every server instance
+// and doubles as the lock that lets only one of them run the task at a time.
+const scheduledTaskSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    description: { type: String, default: "" },
+    intervalMs: { type: Number, required: true },
+    enabled: { type: Boolean, default: true },
+    nextRunAt: { type: Date, required: true, index: true },
+    lastStartedAt: { type: Date, default: null },
+    lastFinishedAt: { type: Date, default: null },
+    lastStatus: {
+      type: String,
+      enum: ["never", "running", "succeeded", "failed"],
+      default: "never",
+    },
+    lastError: { type: String, default: null },
+    lastErrorAt: { type: Date, default: null },
+    // What the handler returned on its last successful run
+    lastResult: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastDurationMs: { type: Number, default: null },
+    // Failures since the last success; drives the retry backoff
+    failedAttempts: { type: Number, default: 0 },
+    runCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 },
+    // Instance holding the lock and when the lock lapses (a crashed
+    // instance never releases it)
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const ScheduledTask = mongoose.model("ScheduledTask", scheduledTaskSchema);
+export default ScheduledTask;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// One document per login. The refresh token rotates on every refresh, only
+// its hash is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    userAgent: { type: String, default: "" },
+    device: { type: String, default: "Unknown device" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // MongoDB removes expired sessions
+    },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
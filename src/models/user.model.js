@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { NOTIFICATION_TYPES } from "./notification.model.js";
 
 // Define the project schema
 const projectSchema = new mongoose.Schema({
@@ -48,6 +49,11 @@ const profileSchema = new mongoose.Schema({
   resumeOriginalName: {
     type: String,
   },
+  // Storage keys of the files uploaded for `resume`, so that only files this
+  // user uploaded are ever deleted
+  resumeKeys: {
+    type: [String],
+  },
   education: [
     {
       degree: {
@@ -127,8 +133,20 @@ const profileSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Storage key of the uploaded profileImage
+  profileImageKey: {
+    type: String,
+  },
 });
 
+// One on/off switch per notification type, all on by default
+const notificationPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])
+  ),
+  { _id: false }
+);
+
 // Define the user schema
 const userSchema = new mongoose.Schema(
   {
@@ -158,13 +176,62 @@ const userSchema = new mongoose.Schema(
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters long"],
     },
+    // Admins are promoted in the database; they cannot sign up as such
     role: {
       type: String,
-      enum: ["user", "recruiter"],
+      enum: ["user", "recruiter", "admin"],
       required: true,
       default: "user",
     },
     profile: profileSchema,
+    // Jobs shortlisted by a job seeker
+    savedJobs: [
+      {
+        job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+        savedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    preferences: {
+      // How matches of saved searches are delivered
+      jobAlertFrequency: {
+        type: String,
+        enum: ["instant", "daily", "weekly", "off"],
+        default: "daily",
+      },
+      notifications: {
+        type: notificationPreferencesSchema,
+        default: () => ({}),
+      },
+    },
+    // Secret part of the private interview calendar feed URL
+    calendarFeedToken: {
+      type: String,
+      index: { unique: true, sparse: true },
+      select: false,
+    },
+    // No default on purpose: accounts created before email verification
+    // existed have no value and are treated as verified
+    isVerified: {
+      type: Boolean,
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    // Set by an admin. Suspended users cannot log in and their sessions are
+    // revoked.
+    isSuspended: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    suspendedAt: { type: Date, default: null },
+    suspendedReason: { type: String, trim: true, default: null },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,43 @@
+import express from "express";
+import {
+  closeJob,
+  getCompanies,
+  getScheduledTasks,
+  getUserById,
+  getUsers,
+  removeCompany,
+  runScheduledTask,
+  suspendUser,
+  unsuspendUser,
+  verifyCompany,
+} from "../controllers/admin.controller.js";
+import { getReports, updateReport } from "../controllers/report.controller.js";
+import { isAuthenticated } from "../middleware/isAuthenticated.js";
+import { authorizeRoles } from "../middleware/authorize.js";
+
+export const adminRoute = express.Router();
+
+// Every admin route needs an admin account
+adminRoute.use(isAuthenticated, authorizeRoles("admin"));
+
+// Users
+adminRoute.get("/users", getUsers);
+adminRoute.get("/users/:id", getUserById);
+adminRoute.put("/users/:id/suspend", suspendUser);
+adminRoute.put("/users/:id/unsuspend", unsuspendUser);
+
+// Jobs
+adminRoute.put("/jobs/:id/close", closeJob);
+
+// Companies
+adminRoute.get("/companies", getCompanies);
+adminRoute.put("/companies/:id/verify", verifyCompany);
+adminRoute.delete("/companies/:id", removeCompany);
+
+// Moderation queue of reported jobs and companies
+adminRoute.get("/reports", getReports);
+adminRoute.put("/reports/:id", updateReport);
+
+// Background tasks
+adminRoute.get("/tasks", getScheduledTasks);
+adminRoute.post("/tasks/:name/run", runScheduledTask);
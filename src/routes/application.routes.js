@@ -1,8 +1,18 @@
 import express from "express";
 import {isAuthenticated} from "../middleware/isAuthenticated.js";
+import { resumeUpload } from "../middleware/multer.js";
+import {
+  authorizeRoles,
+  canManageApplication,
+  canViewApplication,
+  requireJobPermission,
+} from "../middleware/authorize.js";
 import {
   applyJob,
+  downloadResume,
+  exportApplicants,
   getAllApplicants,
+  getApplicationHistory,
   getAppliedJobs,
   updateApplicationStatus,
 } from "../controllers/application.controller.js";
@@ -10,11 +20,44 @@ import {
 // Create a router instance
 export const applicationRoute = express.Router();
 
-applicationRoute.post("/apply/:jobId", isAuthenticated, applyJob);
+applicationRoute.post(
+  "/apply/:jobId",
+  isAuthenticated,
+  authorizeRoles("user"),
+  resumeUpload,
+  applyJob
+);
 applicationRoute.put(
   "/status/:applicationId/update",
   isAuthenticated,
+  authorizeRoles("recruiter"),
+  canManageApplication,
   updateApplicationStatus
 );
-applicationRoute.get("/:jobId/applicants", isAuthenticated, getAllApplicants);
+applicationRoute.get(
+  "/status/:applicationId/history",
+  isAuthenticated,
+  canViewApplication,
+  getApplicationHistory
+);
+applicationRoute.get(
+  "/:applicationId/resume",
+  isAuthenticated,
+  canViewApplication,
+  downloadResume
+);
+applicationRoute.get(
+  "/:jobId/applicants",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  requireJobPermission("viewApplications"),
+  getAllApplicants
+);
+applicationRoute.get(
+  "/:jobId/applicants/export",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  requireJobPermission("viewApplications"),
+  exportApplicants
+);
 applicationRoute.get("/:userId", isAuthenticated, getAppliedJobs);
@@ -5,15 +5,157 @@ import {
   getCompanies,
   getCompanyById,
   getCompanyByUserId,
+  getPublicCompany,
   updateCompany,
 } from "../controllers/company.controller.js";
+import {
+  acceptInvitation,
+  declineInvitation,
+  getCompanyInvitations,
+  getCompanyMembers,
+  getMyInvitations,
+  inviteMember,
+  removeMember,
+  revokeInvitation,
+  transferOwnership,
+  updateMemberRole,
+} from "../controllers/company_team.controller.js";
+import {
+  createCompanyReview,
+  deleteCompanyReview,
+  deleteReviewReply,
+  getCompanyReviews,
+  replyToReview,
+  updateCompanyReview,
+} from "../controllers/company_review.controller.js";
+import { getCompanyAnalytics } from "../controllers/analytics.controller.js";
+import { reportCompany } from "../controllers/report.controller.js";
 import { isAuthenticated } from "../middleware/isAuthenticated.js";
+import { companyImagesUpload } from "../middleware/multer.js";
+import {
+  authorizeRoles,
+  canManageCompany,
+  requireCompanyPermission,
+} from "../middleware/authorize.js";
 
 export const companyRoute = express.Router();
 
-companyRoute.post("/create", isAuthenticated, createCompany);
+companyRoute.post(
+  "/create",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  companyImagesUpload,
+  createCompany
+);
 companyRoute.get("/all", isAuthenticated, getCompanies);
 companyRoute.get("/user/:id", isAuthenticated, getCompanyByUserId);
-companyRoute.put("/update/:id", isAuthenticated, updateCompany);
+companyRoute.put(
+  "/update/:id",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  canManageCompany,
+  companyImagesUpload,
+  updateCompany
+);
+
+// Public company page with the open jobs
+companyRoute.get("/:id/public", getPublicCompany);
+
+// Invitations sent to the logged-in user
+companyRoute.get("/invitations", isAuthenticated, getMyInvitations);
+companyRoute.post(
+  "/invitations/:invitationId/accept",
+  isAuthenticated,
+  acceptInvitation
+);
+companyRoute.post(
+  "/invitations/:invitationId/decline",
+  isAuthenticated,
+  declineInvitation
+);
+
 companyRoute.get("/:id", isAuthenticated, getCompanyById);
-companyRoute.delete("/:id", isAuthenticated, deleteCompany);
+companyRoute.delete(
+  "/:id",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  requireCompanyPermission("deleteCompany"),
+  deleteCompany
+);
+
+// Team management
+companyRoute.get(
+  "/:id/members",
+  isAuthenticated,
+  requireCompanyPermission("viewMembers"),
+  getCompanyMembers
+);
+companyRoute
+  .route("/:id/members/:userId")
+  .put(
+    isAuthenticated,
+    requireCompanyPermission("manageMembers"),
+    updateMemberRole
+  )
+  .delete(
+    isAuthenticated,
+    requireCompanyPermission("viewMembers"),
+    removeMember
+  );
+companyRoute
+  .route("/:id/invitations")
+  .get(
+    isAuthenticated,
+    requireCompanyPermission("manageMembers"),
+    getCompanyInvitations
+  )
+  .post(
+    isAuthenticated,
+    requireCompanyPermission("manageMembers"),
+    inviteMember
+  );
+companyRoute.delete(
+  "/:id/invitations/:invitationId",
+  isAuthenticated,
+  requireCompanyPermission("manageMembers"),
+  revokeInvitation
+);
+companyRoute.post(
+  "/:id/transfer-ownership",
+  isAuthenticated,
+  requireCompanyPermission("transferOwnership"),
+  transferOwnership
+);
+
+// Reports of spam or abuse, reviewed by admins
+companyRoute.post("/:id/report", isAuthenticated, reportCompany);
+
+// Hiring funnel analytics
+companyRoute.get(
+  "/:id/analytics",
+  isAuthenticated,
+  requireCompanyPermission("viewApplications"),
+  getCompanyAnalytics
+);
+
+// Reviews: public list, one review per user, one company reply per review
+companyRoute
+  .route("/:id/reviews")
+  .get(getCompanyReviews)
+  .post(isAuthenticated, createCompanyReview);
+companyRoute
+  .route("/:id/reviews/:reviewId")
+  .put(isAuthenticated, updateCompanyReview)
+  .delete(isAuthenticated, deleteCompanyReview);
+companyRoute
+  .route("/:id/reviews/:reviewId/reply")
+  .put(
+    isAuthenticated,
+    requireCompanyPermission("manageCompany"),
+    replyToReview
+  )
+  .delete(
+    isAuthenticated,
+    requireCompanyPermission("manageCompany"),
+    deleteReviewReply
+  );
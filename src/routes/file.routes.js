@@ -0,0 +1,7 @@
+import express from "express";
+import { serveFile } from "../controllers/file.controller.js";
+
+export const fileRoute = express.Router();
+
+// Files of the local storage driver, e.g. /api/v1/files/public/profile_pictures/x.png
+fileRoute.get("/*", serveFile);
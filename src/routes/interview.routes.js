@@ -0,0 +1,40 @@
+import express from "express";
+import {
+  cancelInterview,
+  downloadInterviewIcs,
+  getApplicationInterviews,
+  getCalendarFeed,
+  getCalendarFeedUrl,
+  getInterview,
+  proposeInterview,
+  rescheduleInterview,
+  selectInterviewSlot,
+} from "../controllers/interview.controller.js";
+import { isAuthenticated } from "../middleware/isAuthenticated.js";
+import {
+  authorizeRoles,
+  canManageApplication,
+  canViewApplication,
+} from "../middleware/authorize.js";
+
+export const interviewRoute = express.Router();
+
+// Public: calendar apps authenticate with the secret token in the URL
+interviewRoute.get("/feed/:token.ics", getCalendarFeed);
+interviewRoute.get("/feed-url", isAuthenticated, getCalendarFeedUrl);
+
+interviewRoute
+  .route("/application/:applicationId")
+  .get(isAuthenticated, canViewApplication, getApplicationInterviews)
+  .post(
+    isAuthenticated,
+    authorizeRoles("recruiter"),
+    canManageApplication,
+    proposeInterview
+  );
+
+interviewRoute.get("/:id", isAuthenticated, getInterview);
+interviewRoute.get("/:id/ics", isAuthenticated, downloadInterviewIcs);
+interviewRoute.put("/:id/select", isAuthenticated, selectInterviewSlot);
+interviewRoute.put("/:id/reschedule", isAuthenticated, rescheduleInterview);
+interviewRoute.put("/:id/cancel", isAuthenticated, cancelInterview);
@@ -3,37 +3,121 @@ import {
   deleteJob,
   getAllJobs,
   getJobsByUserID,
+  getRecommendedJobs,
+  getSavedJobs,
+  importJobs,
   jobById,
   postJob,
+  saveJob,
+  unsaveJob,
   updateJob,
+  updateJobStatus,
 } from "../controllers/job.controller.js";
+import { getJobAnalytics } from "../controllers/analytics.controller.js";
+import { reportJob } from "../controllers/report.controller.js";
 import { isAuthenticated } from "../middleware/isAuthenticated.js";
+import { jobImportUpload } from "../middleware/multer.js";
+import {
+  authorizeRoles,
+  canManageJob,
+  canPostForCompany,
+  requireJobPermission,
+} from "../middleware/authorize.js";
 import {
   createJobCategory,
   deleteJobCategory,
   getAllCategories,
   getJobCategoryById,
+  mergeJobCategory,
   updateJobCategory,
 } from "../controllers/job_categories.controller.js";
 
 export const jobRoute = express.Router();
 
-jobRoute.post("/category/create", isAuthenticated, createJobCategory);
+// Job categories are managed by admins
+jobRoute.post(
+  "/category/create",
+  isAuthenticated,
+  authorizeRoles("admin"),
+  createJobCategory
+);
 jobRoute.get("/category/all", isAuthenticated, getAllCategories);
-jobRoute.put("/category/update/:id", isAuthenticated, updateJobCategory);
+jobRoute.put(
+  "/category/update/:id",
+  isAuthenticated,
+  authorizeRoles("admin"),
+  updateJobCategory
+);
+jobRoute.post(
+  "/category/:id/merge",
+  isAuthenticated,
+  authorizeRoles("admin"),
+  mergeJobCategory
+);
 jobRoute
   .route("/category/:id")
   .get(isAuthenticated, getJobCategoryById)
-  .delete(isAuthenticated, deleteJobCategory);
+  .delete(isAuthenticated, authorizeRoles("admin"), deleteJobCategory);
 
-jobRoute.post("/post", isAuthenticated, postJob);
-jobRoute.put("/update/:id", isAuthenticated, updateJob);
+jobRoute.post(
+  "/post",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  canPostForCompany,
+  postJob
+);
+// Bulk import; the company of each row is checked in the controller
+jobRoute.post(
+  "/import",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  jobImportUpload,
+  importJobs
+);
+jobRoute.put(
+  "/update/:id",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  canManageJob,
+  updateJob
+);
+jobRoute.put(
+  "/:id/status",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  canManageJob,
+  updateJobStatus
+);
+jobRoute.get(
+  "/:id/analytics",
+  isAuthenticated,
+  authorizeRoles("recruiter"),
+  requireJobPermission("viewApplications"),
+  getJobAnalytics
+);
 jobRoute.get("/all", isAuthenticated, getAllJobs);
 jobRoute.get("/all/:id", isAuthenticated, getJobsByUserID);
+jobRoute.get("/saved", isAuthenticated, authorizeRoles("user"), getSavedJobs);
+jobRoute.get(
+  "/recommended",
+  isAuthenticated,
+  authorizeRoles("user"),
+  getRecommendedJobs
+);
+jobRoute.post("/:id/report", isAuthenticated, reportJob);
+jobRoute
+  .route("/:id/save")
+  .post(isAuthenticated, authorizeRoles("user"), saveJob)
+  .delete(isAuthenticated, authorizeRoles("user"), unsaveJob);
 jobRoute
   .route("/:id")
   .get(isAuthenticated, jobById)
-  .delete(isAuthenticated, deleteJob);
+  .delete(
+    isAuthenticated,
+    authorizeRoles("recruiter"),
+    canManageJob,
+    deleteJob
+  );
 
 /*
 
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  deleteNotification,
+  getNotificationPreferences,
+  getNotifications,
+  getUnreadCount,
+  markAllAsRead,
+  markAsRead,
+  updateNotificationPreferences,
+} from "../controllers/notification.controller.js";
+import { isAuthenticated } from "../middleware/isAuthenticated.js";
+
+export const notificationRoute = express.Router();
+
+notificationRoute.get("/", isAuthenticated, getNotifications);
+notificationRoute.get("/unread-count", isAuthenticated, getUnreadCount);
+notificationRoute.put("/read-all", isAuthenticated, markAllAsRead);
+notificationRoute
+  .route("/preferences")
+  .get(isAuthenticated, getNotificationPreferences)
+  .put(isAuthenticated, updateNotificationPreferences);
+notificationRoute.put("/:id/read", isAuthenticated, markAsRead);
+notificationRoute.delete("/:id", isAuthenticated, deleteNotification);
@@ -3,14 +3,72 @@ import {
   createUser,
   loginUser,
   logoutUser,
+  updatePreferences,
   updateProfile,
 } from "../controllers/user.controller.js";
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  getSavedSearches,
+  updateSavedSearch,
+} from "../controllers/saved_search.controller.js";
+import {
+  forgotPassword,
+  resendVerification,
+  resetPassword,
+  verifyEmail,
+} from "../controllers/auth.controller.js";
+import {
+  applyResumeSuggestion,
+  getResumeSuggestion,
+  parseResume,
+} from "../controllers/resume.controller.js";
+import {
+  getSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+} from "../controllers/session.controller.js";
 import { isAuthenticated } from "../middleware/isAuthenticated.js";
-import { singleUpload } from "../middleware/multer.js";
+import { resumeUpload, singleUpload } from "../middleware/multer.js";
 
 export const userRoute = express.Router();
 
 userRoute.post("/auth/create", singleUpload, createUser);
 userRoute.post("/auth/login", loginUser);
-userRoute.get("/logout", logoutUser);
+userRoute.post("/auth/refresh", refreshSession);
+userRoute.post("/auth/verify-email", verifyEmail);
+userRoute.post("/auth/resend-verification", resendVerification);
+userRoute.post("/auth/forgot-password", forgotPassword);
+userRoute.post("/auth/reset-password", resetPassword);
+// Under /auth so the refresh cookie is sent along
+userRoute.post("/auth/logout", logoutUser);
+userRoute.get("/sessions", isAuthenticated, getSessions);
+userRoute.delete("/sessions", isAuthenticated, revokeAllSessions);
+userRoute.delete("/sessions/:sessionId", isAuthenticated, revokeSession);
 userRoute.put("/profile/update", isAuthenticated, singleUpload, updateProfile);
+userRoute.post(
+  "/profile/resume/parse",
+  isAuthenticated,
+  resumeUpload,
+  parseResume
+);
+userRoute.get(
+  "/profile/resume/suggestions/:id",
+  isAuthenticated,
+  getResumeSuggestion
+);
+userRoute.post(
+  "/profile/resume/suggestions/:id/apply",
+  isAuthenticated,
+  applyResumeSuggestion
+);
+userRoute.put("/preferences", isAuthenticated, updatePreferences);
+userRoute
+  .route("/saved-searches")
+  .get(isAuthenticated, getSavedSearches)
+  .post(isAuthenticated, createSavedSearch);
+userRoute
+  .route("/saved-searches/:id")
+  .put(isAuthenticated, updateSavedSearch)
+  .delete(isAuthenticated, deleteSavedSearch);
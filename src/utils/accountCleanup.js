@@ -0,0 +1,38 @@
+import AuthToken from "../models/auth_token.model.js";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import { deleteStoredKey } from "./storage/index.js";
+
+// Read on every run, after dotenv has loaded the environment
+const unverifiedAccountMs = () =>
+  (Number(process.env.UNVERIFIED_ACCOUNT_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+/**
+ * Deletes accounts that were never verified, UNVERIFIED_ACCOUNT_DAYS
+ * (default 7) after signup, with their tokens and profile picture. Such
+ * accounts cannot log in, so nothing else refers to them.
+ *
+ * @returns {Promise<Number>} Number of accounts deleted.
+ */
+export const purgeUnverifiedUsers = async () => {
+  const filter = {
+    isVerified: false,
+    createdAt: { $lt: new Date(Date.now() - unverifiedAccountMs()) },
+  };
+  const users = await User.find(filter).select("profile.profileImageKey");
+  if (!users.length) return 0;
+
+  const ids = users.map((user) => user._id);
+  const { deletedCount } = await User.deleteMany({
+    ...filter,
+    _id: { $in: ids },
+  });
+
+  await Promise.all([
+    AuthToken.deleteMany({ user: { $in: ids } }),
+    Session.deleteMany({ user: { $in: ids } }),
+    ...users.map((user) => deleteStoredKey(user.profile?.profileImageKey)),
+  ]);
+
+  return deletedCount;
+};
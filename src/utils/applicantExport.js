@@ -0,0 +1,177 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { computeMatchScore } from "./matchScore.js";
+import { plainText } from "./text.js";
+
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Exportable columns. Each value() gets the application (with the
+// applicant populated) and the export context { job, baseUrl }.
+export const EXPORT_COLUMNS = {
+  name: {
+    header: "Name",
+    width: 25,
+    value: (application) => plainText(application.applicant?.name),
+  },
+  email: {
+    header: "Email",
+    width: 30,
+    value: (application) => application.applicant?.email || "",
+  },
+  phone: {
+    header: "Phone",
+    width: 15,
+    value: (application) => application.applicant?.phone || "",
+  },
+  status: {
+    header: "Status",
+    width: 12,
+    value: (application) => application.status,
+  },
+  appliedAt: {
+    header: "Applied",
+    width: 20,
+    value: (application) => application.createdAt,
+  },
+  skills: {
+    header: "Skills",
+    width: 40,
+    value: (application) =>
+      (application.applicant?.profile?.skills || []).map(plainText).join(", "),
+  },
+  resume: {
+    header: "Resume",
+    width: 60,
+    // Older applications store a full URL instead of the download route
+    value: (application, { baseUrl }) => {
+      if (!application.resume) return "";
+      return /^https?:\/\//.test(application.resume)
+        ? application.resume
+        : `${baseUrl}${application.resume}`;
+    },
+  },
+  matchScore: {
+    header: "Match score",
+    width: 12,
+    value: (application, { job }) =>
+      computeMatchScore(job, application.applicant?.profile).score,
+  },
+};
+
+// Columns exported when none are picked
+export const DEFAULT_EXPORT_COLUMNS = [
+  "name",
+  "email",
+  "phone",
+  "status",
+  "appliedAt",
+  "skills",
+  "resume",
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? "");
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writes a chunk, waiting for the client to catch up when the buffer is
+// full (or to disconnect). The listener that did not fire is removed.
+const write = async (stream, chunk) => {
+  if (stream.write(chunk)) return;
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal }),
+      once(stream, "close", { signal }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Streams applications as CSV, one row at a time.
+ *
+ * @param {Object} res - The response (or any writable stream).
+ * @param {AsyncIterable} applications - A query cursor.
+ * @param {String[]} columns - Keys of EXPORT_COLUMNS.
+ * @param {Object} context - { job, baseUrl }
+ * @returns {Promise<Number>} Number of rows written.
+ */
+export const streamCsv = async (res, applications, columns, context) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  await write(
+    res,
+    "\uFEFF" +
+      columns.map((key) => csvCell(EXPORT_COLUMNS[key].header)).join(",") +
+      "\r\n"
+  );
+
+  let rows = 0;
+  for await (const application of applications) {
+    if (res.destroyed) break;
+    const cells = columns.map((key) =>
+      csvCell(EXPORT_COLUMNS[key].value(application, context))
+    );
+    await write(res, `${cells.join(",")}\r\n`);
+    rows += 1;
+  }
+  res.end();
+  return rows;
+};
+
+/**
+ * Streams applications as an XLSX workbook. Rows are committed as they are
+ * written so they are not kept in memory.
+ *
+ * @param {Object} res - The response (or any writable stream).
+ * @param {AsyncIterable} applications - A query cursor.
+ * @param {String[]} columns - Keys of EXPORT_COLUMNS.
+ * @param {Object} context - { job, baseUrl }
+ * @returns {Promise<Number>} Number of rows written.
+ */
+export const streamXlsx = async (res, applications, columns, context) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useSharedStrings: false,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Applicants", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = columns.map((key) => ({
+    key,
+    header: EXPORT_COLUMNS[key].header,
+    width: EXPORT_COLUMNS[key].width,
+    style: key === "appliedAt" ? { numFmt: "yyyy-mm-dd hh:mm" } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  let rows = 0;
+  for await (const application of applications) {
+    if (res.destroyed) break;
+    const row = Object.fromEntries(
+      columns.map((key) => [
+        key,
+        EXPORT_COLUMNS[key].value(application, context),
+      ])
+    );
+    if (row.resume) {
+      row.resume = { text: row.resume, hyperlink: row.resume };
+    }
+    sheet.addRow(row).commit();
+    rows += 1;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return rows;
+};
@@ -0,0 +1,108 @@
+import validator from "validator";
+import { sendMail } from "./mailer.js";
+import { plainText } from "./text.js";
+
+// Links in emails point to the frontend, which calls the API with the token
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+/**
+ * Sends the signup email verification link.
+ *
+ * @param {Object} user - The user document.
+ * @param {String} token - Raw email_verification token.
+ */
+export const sendVerificationEmail = (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+  const name = validator.escape(user.name);
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${name},</p><p>Please verify your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * Sends the password reset link.
+ *
+ * @param {Object} user - The user document.
+ * @param {String} token - Raw password_reset token.
+ */
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+  const name = validator.escape(user.name);
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${name},</p><p>You can choose a new password by opening <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`,
+  });
+};
+
+// HTML of a stored value, which may or may not have been escaped on save
+const escapeHtml = (value) => validator.escape(plainText(value));
+
+/**
+ * Sends new jobs that matched the user's saved searches, either as an
+ * instant alert (one job) or as a daily/weekly digest.
+ *
+ * @param {Object} user - The user document.
+ * @param {{ job: Object, search: Object }[]} items - Matched jobs.
+ * @param {String} [frequency] - "daily" or "weekly" for digests.
+ */
+export const sendJobAlertEmail = (user, items, frequency) => {
+  const name = validator.escape(user.name);
+  const subject = frequency
+    ? `Your ${frequency} job alert: ${items.length} new job${
+        items.length === 1 ? "" : "s"
+      }`
+    : `New job matching "${plainText(items[0].search?.name) || "your search"}"`;
+
+  const lines = items.map(({ job, search }) => ({
+    title: plainText(job.title),
+    location: plainText(job.location),
+    link: `${clientUrl()}/jobs/${job._id}`,
+    search: plainText(search?.name),
+  }));
+
+  return sendMail({
+    to: user.email,
+    subject,
+    text: `Hi ${user.name},\n\nThese new jobs match your saved searches:\n\n${lines
+      .map(
+        (line) =>
+          `- ${line.title} (${line.location}) [${line.search}]\n  ${line.link}`
+      )
+      .join("\n")}`,
+    html: `<p>Hi ${name},</p><p>These new jobs match your saved searches:</p><ul>${lines
+      .map(
+        (line) =>
+          `<li><a href="${line.link}">${escapeHtml(line.title)}</a> (${escapeHtml(
+            line.location
+          )}) – ${escapeHtml(line.search)}</li>`
+      )
+      .join("")}</ul>`,
+  });
+};
+
+/**
+ * Sends an invitation to join a company team.
+ *
+ * @param {String} email - The invited address.
+ * @param {Object} details - { invitation, company, inviter } documents.
+ */
+export const sendCompanyInvitationEmail = (
+  email,
+  { invitation, company, inviter }
+) => {
+  const link = `${clientUrl()}/invitations/${invitation._id}`;
+  const companyName = plainText(company.name);
+  return sendMail({
+    to: email,
+    subject: `Join ${companyName} on the job portal`,
+    text: `Hi,\n\n${inviter.name} invited you to join ${companyName} as ${invitation.role}. Sign in with this email address to accept or decline the invitation:\n${link}\n\nThe invitation expires on ${invitation.expiresAt.toDateString()}.`,
+    html: `<p>Hi,</p><p>${validator.escape(inviter.name)} invited you to join ${escapeHtml(
+      company.name
+    )} as ${invitation.role}. Sign in with this email address to <a href="${link}">accept or decline the invitation</a>.</p><p>The invitation expires on ${invitation.expiresAt.toDateString()}.</p>`,
+  });
+};
@@ -0,0 +1,484 @@
+import mongoose from "mongoose";
+import Application, {
+  APPLICATION_STATUSES,
+} from "../models/application.model.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Funnel stages in order. "Rejected" can follow any of them.
+export const FUNNEL_STAGES = ["Applied", "Reviewed", "Interview", "Offered"];
+
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+// Most points a time series may have
+const MAX_PERIODS = 400;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Milliseconds to hours or days
+const inUnits = (ms, unit) => (ms === null ? null : round(ms / unit));
+
+const rate = (part, whole) => (whole ? round(part / whole, 4) : null);
+
+const average = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+// Start of the UTC day, ISO week (Monday) or month containing the date
+const periodStart = (date, interval) => {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (interval === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  if (interval === "month") start.setUTCDate(1);
+  return start;
+};
+
+const nextPeriod = (date, interval) => {
+  const next = new Date(date);
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+const periodKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Reads the analytics filters from the query string: from and to (dates;
+ * a plain YYYY-MM-DD "to" includes that whole day), interval
+ * (day|week|month, default week) and category (a job category ID).
+ *
+ * @param {Object} query - req.query
+ * @returns {{ from: Date|null, to: Date|null, interval: String,
+ * category: String|null, errors: String[] }}
+ */
+export const parseAnalyticsQuery = (query) => {
+  const errors = [];
+
+  const readDate = (name) => {
+    if (query[name] === undefined || query[name] === "") return null;
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+      return null;
+    }
+    return date;
+  };
+  const from = readDate("from");
+  let to = readDate("to");
+  if (to && DATE_ONLY.test(query.to)) to = new Date(to.getTime() + DAY - 1);
+  if (from && to && from > to) errors.push("from must be before to");
+
+  const interval = query.interval || "week";
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    errors.push(`interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`);
+  }
+
+  const category = query.category || null;
+  if (category && !mongoose.Types.ObjectId.isValid(category)) {
+    errors.push("Invalid category ID");
+  }
+
+  return { from, to, interval, category, errors };
+};
+
+
+// Element of an array expression, and a field of an object expression.
+// Field paths on arrays ("$timeline.previousStatus") skip the elements
+// without the field, so elements are read one at a time.
+const elementAt = (array, index) => ({ $arrayElemAt: [array, index] });
+const fieldOf = (object, field) => ({
+  $let: { vars: { item: object }, in: `$$item.${field}` },
+});
+
+const HISTORY = { $ifNull: ["$statusHistory", []] };
+// The timeline entry at $$index, and the one before it
+const CURRENT = elementAt("$timeline", "$$index");
+const PREVIOUS = elementAt("$timeline", { $subtract: ["$$index", 1] });
+
+/**
+ * Pipeline stages matching the applications to the given jobs made within
+ * the date range, each with:
+ *
+ * - timeline: its status changes, oldest first. Applications from before
+ *   the status history existed only have their creation date.
+ * - furthest: index in FUNNEL_STAGES of the furthest stage it reached
+ * - stageTimes: { stage, ms } for each funnel stage it moved on from
+ * - rejectedFrom: the stages it was rejected from
+ * - hireMs: milliseconds from applying to the offer, or null
+ *
+ * @param {ObjectId[]} jobIds
+ * @param {Object} range - { from, to } from parseAnalyticsQuery.
+ * @returns {Object[]}
+ */
+const reportPipeline = (jobIds, { from, to }) => {
+  const match = { job: { $in: jobIds } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  return [
+    { $match: match },
+    {
+      $project: {
+        job: 1,
+        createdAt: 1,
+        status: { $ifNull: ["$status", "Applied"] },
+        // Entries are added as the status changes, so they are in order
+        timeline: {
+          $cond: [
+            { $eq: [fieldOf(elementAt(HISTORY, 0), "status"), "Applied"] },
+            HISTORY,
+            {
+              $concatArrays: [
+                [{ status: "Applied", changedAt: "$createdAt" }],
+                HISTORY,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $addFields: {
+        furthest: {
+          $max: {
+            $map: {
+              input: {
+                $concatArrays: [["Applied", "$status"], "$timeline.status"],
+              },
+              as: "status",
+              in: { $indexOfArray: [FUNNEL_STAGES, "$$status"] },
+            },
+          },
+        },
+        stageTimes: {
+          $filter: {
+            input: {
+              $map: {
+                input: { $range: [1, { $size: "$timeline" }] },
+                as: "index",
+                in: {
+                  stage: fieldOf(PREVIOUS, "status"),
+                  ms: {
+                    $subtract: [
+                      fieldOf(CURRENT, "changedAt"),
+                      fieldOf(PREVIOUS, "changedAt"),
+                    ],
+                  },
+                },
+              },
+            },
+            as: "time",
+            cond: {
+              $and: [
+                { $in: ["$$time.stage", FUNNEL_STAGES] },
+                { $ne: [{ $ifNull: ["$$time.ms", null] }, null] },
+              ],
+            },
+          },
+        },
+        rejectedFrom: {
+          $map: {
+            input: {
+              $filter: {
+                input: { $range: [1, { $size: "$timeline" }] },
+                as: "index",
+                cond: {
+                  $eq: [fieldOf(CURRENT, "status"), "Rejected"],
+                },
+              },
+            },
+            as: "index",
+            in: {
+              $ifNull: [
+                fieldOf(CURRENT, "previousStatus"),
+                fieldOf(PREVIOUS, "status"),
+              ],
+            },
+          },
+        },
+        hireMs: {
+          $let: {
+            vars: {
+              offer: elementAt(
+                {
+                  $filter: {
+                    input: "$timeline",
+                    as: "item",
+                    cond: { $eq: ["$$item.status", "Offered"] },
+                  },
+                },
+                0
+              ),
+            },
+            in: {
+              $cond: [
+                { $ifNull: ["$$offer", false] },
+                { $subtract: ["$$offer.changedAt", "$createdAt"] },
+                null,
+              ],
+            },
+          },
+        },
+      },
+    },
+  ];
+};
+
+// Median of the `value` field output by a pipeline. The database sorts the
+// values and only the middle one or two are loaded.
+const medianOf = async (pipeline, samples) => {
+  if (!samples) return null;
+  const middle = await Application.aggregate([
+    ...pipeline,
+    { $sort: { value: 1 } },
+    { $skip: Math.floor((samples - 1) / 2) },
+    { $limit: samples % 2 ? 1 : 2 },
+  ]).allowDiskUse(true);
+  return average(middle.map((item) => item.value));
+};
+
+// Application counts per period, empty periods included. dayCounts hold
+// { _id: "YYYY-MM-DD", count } per UTC day.
+const countOverTime = (dayCounts, { from, to, interval }) => {
+  const days = dayCounts.map((day) => ({
+    date: new Date(`${day._id}T00:00:00Z`),
+    count: day.count,
+  }));
+  const first =
+    from ||
+    days.reduce((min, day) => (!min || day.date < min ? day.date : min), null);
+  const last =
+    to ||
+    days.reduce((max, day) => (!max || day.date > max ? day.date : max), null);
+  if (!first || !last) return [];
+
+  const counts = new Map();
+  days.forEach(({ date, count }) => {
+    const key = periodKey(periodStart(date, interval));
+    counts.set(key, (counts.get(key) || 0) + count);
+  });
+
+  const series = [];
+  for (
+    let period = periodStart(first, interval);
+    period <= last && series.length < MAX_PERIODS;
+    period = nextPeriod(period, interval)
+  ) {
+    const key = periodKey(period);
+    series.push({ period: key, applications: counts.get(key) || 0 });
+  }
+  return series;
+};
+
+// Count of applications that reached each funnel stage, as $group fields
+const reachedFields = () =>
+  Object.fromEntries(
+    FUNNEL_STAGES.map((stage, index) => [
+      stage,
+      { $sum: { $cond: [{ $gte: ["$furthest", index] }, 1, 0] } },
+    ])
+  );
+
+/**
+ * Hiring funnel report for the applications to some jobs, computed by the
+ * database so that no application is loaded.
+ *
+ * - totals: applications, hires (offers), rejections and their rates
+ * - statusCounts: applications currently in each status
+ * - funnel: per stage, how many applications reached it and the conversion
+ *   from the previous stage and from "Applied"
+ * - timeInStage: median and average hours spent in each stage, from
+ *   applications that moved on from it
+ * - timeToHire: median and average days from applying to the offer
+ * - rejectionsByStage: the stage applications were rejected from
+ * - applicationsOverTime: applications per day, week or month
+ *
+ * @param {ObjectId[]} jobIds
+ * @param {Object} options - { from, to, interval } from parseAnalyticsQuery.
+ * @returns {Promise<Object>}
+ */
+export const buildHiringReport = async (jobIds, options) => {
+  const pipeline = reportPipeline(jobIds, options);
+
+  const [facets] = await Application.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        statusCounts: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        reached: [{ $group: { _id: null, ...reachedFields() } }],
+        stageTimes: [
+          { $unwind: "$stageTimes" },
+          {
+            $group: {
+              _id: "$stageTimes.stage",
+              samples: { $sum: 1 },
+              average: { $avg: "$stageTimes.ms" },
+            },
+          },
+        ],
+        timeToHire: [
+          { $match: { hireMs: { $ne: null } } },
+          {
+            $group: {
+              _id: null,
+              samples: { $sum: 1 },
+              average: { $avg: "$hireMs" },
+            },
+          },
+        ],
+        rejections: [
+          { $unwind: "$rejectedFrom" },
+          { $group: { _id: "$rejectedFrom", count: { $sum: 1 } } },
+        ],
+        days: [
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const statusCounts = Object.fromEntries(
+    APPLICATION_STATUSES.map((status) => [status, 0])
+  );
+  facets.statusCounts.forEach(({ _id, count }) => {
+    if (statusCounts[_id] !== undefined) statusCounts[_id] = count;
+  });
+  const total = Object.values(statusCounts).reduce((sum, n) => sum + n, 0);
+
+  const reached = FUNNEL_STAGES.map(
+    (stage) => facets.reached[0]?.[stage] || 0
+  );
+  const stageTimes = new Map(
+    facets.stageTimes.map((time) => [time._id, time])
+  );
+  const hireTimes = facets.timeToHire[0] || { samples: 0, average: null };
+  const rejectionsByStage = new Map(
+    facets.rejections.map(({ _id, count }) => [_id, count])
+  );
+
+  // Medians, one stage at a time
+  const timeInStage = [];
+  for (const stage of FUNNEL_STAGES) {
+    const { samples = 0, average: averageMs = null } =
+      stageTimes.get(stage) || {};
+    const medianMs = await medianOf(
+      [
+        ...pipeline,
+        { $unwind: "$stageTimes" },
+        { $match: { "stageTimes.stage": stage } },
+        { $project: { value: "$stageTimes.ms" } },
+      ],
+      samples
+    );
+    timeInStage.push({
+      stage,
+      samples,
+      medianHours: inUnits(medianMs, HOUR),
+      averageHours: inUnits(averageMs, HOUR),
+    });
+  }
+  const medianHireMs = await medianOf(
+    [
+      ...pipeline,
+      { $match: { hireMs: { $ne: null } } },
+      { $project: { value: "$hireMs" } },
+    ],
+    hireTimes.samples
+  );
+
+  const hires = reached[FUNNEL_STAGES.indexOf("Offered")];
+  const rejections = statusCounts.Rejected;
+
+  return {
+    totals: {
+      applications: total,
+      hires,
+      rejections,
+      hireRate: rate(hires, total),
+      rejectionRate: rate(rejections, total),
+    },
+    statusCounts,
+    funnel: FUNNEL_STAGES.map((stage, index) => ({
+      stage,
+      count: reached[index],
+      conversionFromPrevious:
+        index === 0 ? null : rate(reached[index], reached[index - 1]),
+      conversionFromStart: rate(reached[index], total),
+    })),
+    timeInStage,
+    timeToHire: {
+      samples: hireTimes.samples,
+      medianDays: inUnits(medianHireMs, DAY),
+      averageDays: inUnits(hireTimes.average, DAY),
+    },
+    rejectionsByStage: FUNNEL_STAGES.map((stage) => ({
+      stage,
+      count: rejectionsByStage.get(stage) || 0,
+    })),
+    applicationsOverTime: countOverTime(facets.days, options),
+  };
+};
+
+/**
+ * Applications, hires and rejections per job, most applications first.
+ *
+ * @param {Object[]} jobs - Jobs with _id, title and status.
+ * @param {Object} range - { from, to } from parseAnalyticsQuery.
+ * @returns {Promise<Object[]>}
+ */
+export const summarizeByJob = async (jobs, range) => {
+  const counts = await Application.aggregate([
+    ...reportPipeline(jobs.map((job) => job._id), range),
+    {
+      $group: {
+        _id: "$job",
+        applications: { $sum: 1 },
+        hires: {
+          $sum: {
+            $cond: [{ $eq: ["$furthest", FUNNEL_STAGES.length - 1] }, 1, 0],
+          },
+        },
+        rejections: {
+          $sum: { $cond: [{ $eq: ["$status", "Rejected"] }, 1, 0] },
+        },
+      },
+    },
+  ]).allowDiskUse(true);
+  const countsByJob = new Map(counts.map((row) => [String(row._id), row]));
+
+  return jobs
+    .map((job) => {
+      const {
+        applications = 0,
+        hires = 0,
+        rejections = 0,
+      } = countsByJob.get(String(job._id)) || {};
+      return {
+        job: { _id: job._id, title: job.title, status: job.status },
+        applications,
+        hires,
+        rejections,
+        hireRate: rate(hires, applications),
+        rejectionRate: rate(rejections, applications),
+      };
+    })
+    .sort((a, b) => b.applications - a.applications);
+};
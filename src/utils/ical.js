@@ -0,0 +1,121 @@
+import validator from "validator";
+
+/*
+ Minimal iCalendar (RFC 5545) writer for interview events.
+*/
+
+const PRODUCT_ID = "-//Job Portal//Interviews//EN";
+
+// 20240131T093000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Stored text is HTML-escaped by sanitizeInput; calendars want plain text
+const escapeText = (value) =>
+  validator
+    .unescape(String(value ?? ""))
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Parameter values (CN=) are quoted so ":", ";" and "," stay inside them.
+// Quoted values cannot contain double quotes or line breaks.
+const quoteParam = (value) =>
+  `"${validator
+    .unescape(String(value ?? ""))
+    .replace(/"/g, "'")
+    .replace(/[\x00-\x1f\x7f]+/g, " ")}"`;
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  let limit = 75;
+  while (Buffer.byteLength(rest) > limit) {
+    let cut = limit;
+    while (Buffer.byteLength(rest.slice(0, cut)) > limit) cut -= 1;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+    limit = 74; // continuation lines start with a space
+  }
+  parts.push(rest);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Builds the VEVENT lines for one interview event.
+ *
+ * @param {Object} event
+ * @param {String} event.uid - Stable unique ID.
+ * @param {Date} event.start - Start time.
+ * @param {Number} event.durationMinutes - Length in minutes.
+ * @param {String} event.summary - Title.
+ * @param {String} [event.description]
+ * @param {String} [event.location]
+ * @param {String} [event.url]
+ * @param {Number} [event.sequence] - Revision number.
+ * @param {Boolean} [event.cancelled]
+ * @param {{ name: String, email: String }} [event.organizer]
+ * @param {{ name: String, email: String }[]} [event.attendees]
+ * @returns {String[]}
+ */
+export const buildEvent = (event) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DURATION:PT${event.durationMinutes}M`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer) {
+    lines.push(
+      `ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${
+        event.organizer.email
+      }`
+    );
+  }
+  (event.attendees || []).forEach((attendee) => {
+    lines.push(
+      `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${
+        attendee.email
+      }`
+    );
+  });
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Wraps events into a complete calendar file.
+ *
+ * @param {String[][]} events - Results of buildEvent.
+ * @param {Object} [options]
+ * @param {String} [options.name] - Calendar name shown by calendar apps.
+ * @param {String} [options.method] - e.g. "PUBLISH" or "CANCEL".
+ * @returns {String} The .ics content.
+ */
+export const buildCalendar = (events, { name, method = "PUBLISH" } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach((event) => lines.push(...event));
+  lines.push("END:VCALENDAR");
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,198 @@
+import JobAlert from "../models/job_alert.model.js";
+import SavedSearch from "../models/saved_search.model.js";
+import User from "../models/user.model.js";
+import { sendJobAlertEmail } from "./emails.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long the oldest pending alert waits before a digest goes out
+const DIGEST_INTERVALS = {
+  daily: DAY,
+  weekly: 7 * DAY,
+};
+
+const contains = (text, value) =>
+  String(text || "")
+    .toLowerCase()
+    .includes(String(value).toLowerCase());
+
+/**
+ * Checks the keyword and location of a saved search against a job: every
+ * keyword word must appear somewhere in the job, the location is a
+ * substring match.
+ *
+ * @param {Object} search - The saved search.
+ * @param {Object} job - The job.
+ * @returns {Boolean}
+ */
+export const matchesText = (search, job) => {
+  if (search.location && !contains(job.location, search.location)) {
+    return false;
+  }
+  if (!search.keyword) return true;
+
+  const haystack = [
+    job.title,
+    job.description,
+    job.requirements,
+    job.companyName,
+    ...(job.categoryNames || []),
+  ].join(" ");
+  return search.keyword
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => contains(haystack, word));
+};
+
+/**
+ * Finds the saved searches a job matches. jobType, categories and minSalary
+ * are filtered in the query, keyword and location in code.
+ *
+ * @param {Object} job - The new job document.
+ * @returns {Promise<Object[]>} Matching saved searches.
+ */
+export const findMatchingSearches = async (job) => {
+  const candidates = await SavedSearch.find({
+    user: { $ne: job.postedBy },
+    $and: [
+      { $or: [{ jobType: { $size: 0 } }, { jobType: job.jobType }] },
+      {
+        $or: [
+          { categories: { $size: 0 } },
+          { categories: { $in: job.categories } },
+        ],
+      },
+      {
+        $or: [
+          { minSalary: { $exists: false } },
+          { minSalary: null },
+          { minSalary: { $lte: job.salary || 0 } },
+        ],
+      },
+    ],
+  });
+
+  return candidates.filter((search) => matchesText(search, job));
+};
+
+/**
+ * Matches a newly posted job against all saved searches. Users with instant
+ * alerts get an email right away; everyone else gets the job in their next
+ * digest.
+ *
+ * @param {Object} job - The new job document.
+ * @returns {Promise<Number>} Number of users alerted or queued.
+ */
+export const processNewJob = async (job) => {
+  const searches = await findMatchingSearches(job);
+  if (!searches.length) return 0;
+
+  // One alert per user, even if several of their searches match
+  const searchByUser = new Map();
+  searches.forEach((search) => {
+    if (!searchByUser.has(String(search.user))) {
+      searchByUser.set(String(search.user), search);
+    }
+  });
+
+  const users = await User.find({
+    _id: { $in: [...searchByUser.keys()] },
+    "preferences.jobAlertFrequency": { $ne: "off" },
+  }).select("name email preferences");
+
+  let queued = 0;
+  for (const user of users) {
+    const frequency = user.preferences?.jobAlertFrequency || "daily";
+    const search = searchByUser.get(String(user._id));
+
+    const alert = await JobAlert.create({
+      user: user._id,
+      savedSearch: search._id,
+      job: job._id,
+      frequency,
+    }).catch((error) => {
+      // Duplicate key: the user was already alerted about this job
+      if (error.code === 11000) return null;
+      throw error;
+    });
+    if (!alert) continue;
+    queued += 1;
+
+    // A failed email must not stop the alerts of the other users. The
+    // alert stays unsent and moves to the user's next daily digest.
+    if (frequency === "instant") {
+      try {
+        await sendJobAlertEmail(user, [{ job, search }]);
+        alert.sentAt = new Date();
+      } catch (error) {
+        console.error(
+          `Error sending job alert to user ${user._id}:`,
+          error.message
+        );
+        alert.frequency = "daily";
+      }
+      await alert.save();
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * Sends digests for pending daily and weekly alerts. A user's digest goes
+ * out once their oldest pending alert has waited a full day or week, so it
+ * is safe to call this as often as needed.
+ *
+ * @returns {Promise<Number>} Number of digests sent.
+ */
+export const sendDueDigests = async () => {
+  const now = Date.now();
+  const groups = await JobAlert.aggregate([
+    { $match: { sentAt: null, frequency: { $in: ["daily", "weekly"] } } },
+    {
+      $group: {
+        _id: { user: "$user", frequency: "$frequency" },
+        oldest: { $min: "$createdAt" },
+        alerts: { $push: "$_id" },
+      },
+    },
+  ]);
+
+  let sent = 0;
+  for (const group of groups) {
+    const interval = DIGEST_INTERVALS[group._id.frequency];
+    if (now - group.oldest.getTime() < interval) continue;
+
+    const [user, alerts] = await Promise.all([
+      User.findById(group._id.user).select("name email"),
+      JobAlert.find({ _id: { $in: group.alerts } })
+        .populate("job")
+        .populate("savedSearch"),
+    ]);
+
+    // Jobs deleted since they matched are left out of the digest
+    const items = alerts
+      .filter((alert) => alert.job)
+      .map((alert) => ({ job: alert.job, search: alert.savedSearch }));
+    // Left pending on failure, to be retried on the next run
+    if (user && items.length) {
+      try {
+        await sendJobAlertEmail(user, items, group._id.frequency);
+        sent += 1;
+      } catch (error) {
+        console.error(
+          `Error sending job alert digest to user ${user._id}:`,
+          error.message
+        );
+        continue;
+      }
+    }
+
+    await JobAlert.updateMany(
+      { _id: { $in: group.alerts } },
+      { sentAt: new Date() }
+    );
+  }
+
+  return sent;
+};
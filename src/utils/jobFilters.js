@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import { openJobFilter } from "./openJobs.js";
+
+export const JOB_TYPES = ["Full-time", "Part-time", "Contract", "Internship"];
+
+export const JOB_SORTS = {
+  relevance: { score: { $meta: "textScore" }, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  salary_desc: { salary: -1, _id: -1 },
+  salary_asc: { salary: 1, _id: 1 },
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Escape user input so it is matched literally inside a RegExp
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const toNumber = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Builds a MongoDB match object for jobs from the query string of GET /job/all.
+ * Values are cast by hand so the result can be used in aggregation pipelines.
+ * Only open jobs (see openJobFilter) are matched.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {String[]} [options.omit] - Filters to leave out (used for facet counts).
+ * @returns {{ filter: Object, errors: String[] }}
+ */
+export const buildJobFilter = (query, { omit = [] } = {}) => {
+  const filter = openJobFilter();
+  const errors = [];
+  const use = (name) => query[name] !== undefined && !omit.includes(name);
+
+  // Full-text search; supports "exact phrases" and -excluded words
+  if (use("keyword") && String(query.keyword).trim()) {
+    filter.$text = { $search: String(query.keyword).trim() };
+  }
+
+  if (use("location")) {
+    filter.location = {
+      $regex: escapeRegex(String(query.location).trim()),
+      $options: "i",
+    };
+  }
+
+  if (use("experience")) {
+    filter.experience = {
+      $regex: escapeRegex(String(query.experience).trim()),
+      $options: "i",
+    };
+  }
+
+  if (use("jobType")) {
+    const jobTypes = toList(query.jobType);
+    const invalid = jobTypes.filter((type) => !JOB_TYPES.includes(type));
+    if (invalid.length) {
+      errors.push(`Invalid jobType: ${invalid.join(", ")}`);
+    } else if (jobTypes.length) {
+      filter.jobType = { $in: jobTypes };
+    }
+  }
+
+  const minSalary = toNumber(query.minSalary);
+  const maxSalary = toNumber(query.maxSalary);
+  const hasSalary = minSalary !== undefined || maxSalary !== undefined;
+  if (hasSalary && !omit.includes("salary")) {
+    filter.salary = {};
+    if (minSalary !== undefined) filter.salary.$gte = minSalary;
+    if (maxSalary !== undefined) filter.salary.$lte = maxSalary;
+  }
+
+  if (use("categories")) {
+    const categories = toList(query.categories);
+    if (!categories.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      errors.push("Invalid category ID");
+    } else if (categories.length) {
+      filter.categories = {
+        $in: categories.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+  }
+
+  if (use("company")) {
+    if (!mongoose.Types.ObjectId.isValid(query.company)) {
+      errors.push("Invalid company ID");
+    } else {
+      filter.company = new mongoose.Types.ObjectId(query.company);
+    }
+  }
+
+  if (use("postedWithin")) {
+    const days = toNumber(query.postedWithin);
+    if (days === undefined || days <= 0) {
+      errors.push("postedWithin must be a positive number of days");
+    } else {
+      filter.createdAt = {
+        $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+      };
+    }
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Reads page/limit from the query string.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ page: Number, limit: Number, skip: Number }}
+ */
+export const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
@@ -0,0 +1,198 @@
+import path from "path";
+import Company from "../models/company.model.js";
+import JobCategory from "../models/job_categories.model.js";
+import { plainText } from "./text.js";
+
+// Most jobs a single import may contain
+export const MAX_IMPORT_ROWS = 500;
+
+// Job fields read from each row; company and categories are resolved
+// separately
+const JOB_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "experience",
+  "salary",
+  "jobOpenings",
+  "requirements",
+  "jobType",
+  "status",
+  "applicationDeadline",
+  "expiresAt",
+];
+
+// Lookup key of a company or category name
+const nameKey = (value) => plainText(value).toLowerCase();
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells with commas,
+ * line breaks and doubled quotes.
+ *
+ * @param {String} text
+ * @returns {String[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+/**
+ * Reads the jobs of an uploaded import file. CSV files need a header row
+ * with the field names; JSON files hold an array of jobs (or { jobs }).
+ *
+ * @param {Object} file - The multer file.
+ * @returns {{ rows: Object[] } | { error: String }}
+ */
+export const parseImportFile = (file) => {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  let rows;
+
+  if (path.extname(file.originalname).toLowerCase() === ".json") {
+    try {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data?.jobs;
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+    if (!Array.isArray(rows)) {
+      return { error: "The JSON file must hold an array of jobs" };
+    }
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) return { error: "The CSV file is empty" };
+    const keys = header.map((key) => key.trim());
+    rows = lines.map((cells) =>
+      Object.fromEntries(keys.map((key, index) => [key, cells[index]]))
+    );
+  }
+
+  if (!rows.length) return { error: "The file does not contain any jobs" };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `An import can hold at most ${MAX_IMPORT_ROWS} jobs` };
+  }
+  return { rows };
+};
+
+/**
+ * Companies the user may post jobs for and all job categories, indexed by
+ * ID and by lowercase name.
+ *
+ * @param {String} userId
+ * @returns {Promise<{ companies: Map, categories: Map }>}
+ */
+export const loadImportLookups = async (userId) => {
+  const [companies, categories] = await Promise.all([
+    Company.find({ userId }),
+    JobCategory.find().select("name"),
+  ]);
+
+  const index = (items) => {
+    const map = new Map();
+    items.forEach((item) => {
+      map.set(String(item._id), item);
+      map.set(nameKey(item.name), item);
+    });
+    return map;
+  };
+
+  return {
+    companies: index(
+      companies.filter((company) => company.can(userId, "postJobs"))
+    ),
+    categories: index(categories),
+  };
+};
+
+/**
+ * Turns an import row into the body postJob expects: the company (ID or
+ * name) and categories (IDs or names; an array, or a string separated by
+ * ";" or "|") are resolved to IDs.
+ *
+ * @param {Object} row
+ * @param {Object} lookups - From loadImportLookups().
+ * @returns {{ body: Object } | { error: String }}
+ */
+export const resolveImportRow = (row, { companies, categories }) => {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { error: "Each job must be an object" };
+  }
+
+  const body = {};
+  JOB_FIELDS.forEach((field) => {
+    const value =
+      typeof row[field] === "string" ? row[field].trim() : row[field];
+    if (value !== undefined && value !== "") body[field] = value;
+  });
+
+  const companyRef = row.company || row.companyName;
+  if (!companyRef) return { error: "company is required" };
+  const company =
+    companies.get(String(companyRef)) || companies.get(nameKey(companyRef));
+  if (!company) {
+    return {
+      error: `Company "${companyRef}" not found or you cannot post for it`,
+    };
+  }
+  body.company = String(company._id);
+
+  const categoryRefs = (
+    Array.isArray(row.categories)
+      ? row.categories
+      : String(row.categories ?? "").split(/[;|]/)
+  )
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+  if (!categoryRefs.length) return { error: "categories are required" };
+  const unknown = categoryRefs.filter(
+    (ref) => !categories.get(ref) && !categories.get(nameKey(ref))
+  );
+  if (unknown.length) {
+    return { error: `Unknown job categories: ${unknown.join(", ")}` };
+  }
+  body.categories = [
+    ...new Set(
+      categoryRefs.map((ref) =>
+        String((categories.get(ref) || categories.get(nameKey(ref)))._id)
+      )
+    ),
+  ];
+
+  return { body };
+};
@@ -0,0 +1,210 @@
+import mongoose from "mongoose";
+import Company from "../models/company.model.js";
+import Job from "../models/job.model.js";
+import JobCategory from "../models/job_categories.model.js";
+import { sanitizeInput } from "./SanitizeInput.js";
+import { processNewJob } from "./jobAlerts.js";
+
+/**
+ * Reads applicationDeadline and expiresAt from a request body, checked
+ * against the job's current dates. An empty value clears a date.
+ *
+ * @param {Object} body
+ * @param {Object} [job] - The job being updated.
+ * @returns {{ dates: Object } | { error: String }}
+ */
+export const parseJobDates = (body, job = {}) => {
+  const dates = {};
+  for (const field of ["applicationDeadline", "expiresAt"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") {
+      dates[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    dates[field] = date;
+  }
+
+  if (dates.expiresAt && dates.expiresAt <= new Date()) {
+    return { error: "expiresAt must be in the future" };
+  }
+
+  const deadline =
+    dates.applicationDeadline !== undefined
+      ? dates.applicationDeadline
+      : job.applicationDeadline;
+  const expiresAt =
+    dates.expiresAt !== undefined ? dates.expiresAt : job.expiresAt;
+  if (deadline && expiresAt && deadline > expiresAt) {
+    return { error: "applicationDeadline cannot be after expiresAt" };
+  }
+
+  return { dates };
+};
+
+// Fields a job update cannot set: ownership, fields derived from other
+// documents, the status and its dates, the moderation state, and the dates
+// read by parseJobDates
+const PROTECTED_UPDATE_FIELDS = [
+  "postedBy",
+  "company",
+  "applicants",
+  "companyName",
+  "categoryNames",
+  "status",
+  "publishedAt",
+  "closedAt",
+  "closedReason",
+  "isHidden",
+  "hiddenAt",
+  "applicationDeadline",
+  "expiresAt",
+];
+
+/**
+ * The sanitized fields of a job update request (PUT /job/:id) that the
+ * poster may change.
+ *
+ * @param {Object} body
+ * @returns {Object}
+ */
+export const pickJobUpdates = (body) =>
+  sanitizeInput(
+    Object.fromEntries(
+      Object.entries(body).filter(
+        ([field]) => !PROTECTED_UPDATE_FIELDS.includes(field)
+      )
+    )
+  );
+
+/**
+ * Validates a new job (the rules of POST /job/post) and builds the
+ * document to create. Checking that the user may post for the company is
+ * left to the caller.
+ *
+ * @param {Object} body - Job fields; company and categories are IDs.
+ * @param {String} userId - The poster.
+ * @returns {Promise<{ job: Object, company: Object, categories: Object[] }
+ * | { error: String }>} The job is validated but not saved yet.
+ */
+export const prepareNewJob = async (body, userId) => {
+  const {
+    title,
+    description,
+    company,
+    location,
+    experience,
+    salary,
+    jobOpenings,
+    requirements,
+    jobType,
+    categories,
+    status = "published",
+  } = body;
+
+  // Validate required fields
+  if (
+    !title ||
+    !description ||
+    !company ||
+    !experience ||
+    !location ||
+    !jobOpenings ||
+    !jobType ||
+    !categories ||
+    !userId
+  ) {
+    return { error: "All required fields must be provided" };
+  }
+
+  // Sanitize input
+  const sanitizedInputs = sanitizeInput({
+    title,
+    description,
+    company,
+    location,
+    experience,
+    salary,
+    jobOpenings,
+    requirements,
+    jobType,
+    categories,
+    postedBy: userId,
+  });
+
+  // New jobs are either drafts or published
+  if (!["draft", "published"].includes(status)) {
+    return { error: "status must be draft or published" };
+  }
+
+  const { dates, error: dateError } = parseJobDates(body);
+  if (dateError) return { error: dateError };
+
+  // Validate company ID
+  const validCompany = mongoose.Types.ObjectId.isValid(sanitizedInputs.company)
+    ? await Company.findById(sanitizedInputs.company)
+    : null;
+  if (!validCompany) return { error: "Invalid company ID" };
+
+  // Validate categories
+  const categoryIds = [].concat(sanitizedInputs.categories);
+  const validCategories = categoryIds.every((id) =>
+    mongoose.Types.ObjectId.isValid(id)
+  )
+    ? await JobCategory.find({ _id: { $in: categoryIds } })
+    : [];
+  if (validCategories.length !== categoryIds.length) {
+    return { error: "One or more job categories are invalid" };
+  }
+
+  // Company and category names are copied for text search
+  const job = new Job({
+    ...sanitizedInputs,
+    ...dates,
+    categories: categoryIds,
+    status,
+    publishedAt: status === "published" ? new Date() : undefined,
+    companyName: validCompany.name,
+    categoryNames: validCategories.map((category) => category.name),
+  });
+
+  const validationError = job.validateSync();
+  if (validationError) return { error: validationError.message };
+
+  return { job, company: validCompany, categories: validCategories };
+};
+
+/**
+ * Saves a job from prepareNewJob, links it to its company and categories
+ * and, once published, matches it against saved searches in the
+ * background.
+ *
+ * @param {Object} job - The unsaved job document.
+ * @returns {Promise<Object>} The saved job.
+ */
+export const createJob = async (job) => {
+  await job.save();
+
+  // Update categories with new job references
+  await JobCategory.updateMany(
+    { _id: { $in: job.categories } },
+    { $push: { jobs: job._id } }
+  );
+
+  // Update company with new job reference
+  await Company.findByIdAndUpdate(job.company, {
+    $push: { jobs: job._id },
+  });
+
+  // Drafts are matched once they are published
+  if (job.status === "published") {
+    processNewJob(job).catch((error) =>
+      console.error("Error processing job alerts:", error.message)
+    );
+  }
+
+  return job;
+};
@@ -0,0 +1,54 @@
+import Job from "../models/job.model.js";
+
+const BATCH_SIZE = 500;
+
+/**
+ * Fills companyName and categoryNames on jobs posted before they were
+ * copied onto jobs, so those jobs match full-text searches on company and
+ * category names. Jobs whose company is gone get an empty name so they are
+ * not picked up again.
+ *
+ * @returns {Promise<Number>} Number of jobs updated.
+ */
+export const backfillJobSearchFields = async () => {
+  const cursor = Job.find({
+    $or: [
+      { companyName: { $exists: false } },
+      { categoryNames: { $exists: false } },
+    ],
+  })
+    .select("company categories")
+    .populate("company", "name")
+    .populate("categories", "name")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (!operations.length) return;
+    await Job.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const job of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: job._id },
+        update: {
+          $set: {
+            companyName: job.company?.name || "",
+            categoryNames: (job.categories || [])
+              .filter(Boolean)
+              .map((category) => category.name),
+          },
+        },
+      },
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/*
+ Mail transports. Each factory returns an object with an async send(message)
+ method. Pick one with MAIL_TRANSPORT (default "console" outside production,
+ required in production); more can be added with registerMailTransport, e.g.
+ an SMTP transport in production.
+*/
+const transports = {
+  // Prints every message, links and tokens included, to the server log. For
+  // development only.
+  console: () => ({
+    send: async (message) => {
+      console.log(
+        [
+          "---------- Outgoing email ----------",
+          `From: ${message.from}`,
+          `To: ${message.to}`,
+          `Subject: ${message.subject}`,
+          "",
+          message.text,
+          "------------------------------------",
+        ].join("\n")
+      );
+    },
+  }),
+
+  // Writes every message as a JSON file into MAIL_DROP_DIR
+  file: () => {
+    const dir = path.resolve(
+      process.env.MAIL_DROP_DIR || path.join(os.tmpdir(), "job-portal-mail")
+    );
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto
+          .randomBytes(4)
+          .toString("hex")}.json`;
+        await fs.writeFile(
+          path.join(dir, fileName),
+          JSON.stringify(message, null, 2)
+        );
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+/**
+ * Adds a mail transport that can then be selected with MAIL_TRANSPORT.
+ *
+ * @param {String} name - Name used in MAIL_TRANSPORT.
+ * @param {Function} factory - Returns an object with an async send(message).
+ */
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * Returns the configured mail transport (created once).
+ *
+ * @returns {{ send: Function }}
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? null : "console");
+    if (!name) {
+      throw new Error("MAIL_TRANSPORT must be set in production");
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Sends an email through the configured transport.
+ *
+ * @param {Object} message
+ * @param {String} message.to - Recipient address.
+ * @param {String} message.subject - Subject line.
+ * @param {String} message.text - Plain text body.
+ * @param {String} [message.html] - Optional HTML body.
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getMailTransport().send({
+    from: process.env.MAIL_FROM || "Job Portal <no-reply@jobportal.local>",
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString(),
+  });
+};
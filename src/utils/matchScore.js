@@ -0,0 +1,224 @@
+import { findKnownSkills } from "./resumeParser.js";
+import { mentions, plainText } from "./text.js";
+
+// Share of each factor in the overall score. Factors that do not apply to a
+// job (no requirements or no categories) are left out and the others are
+// scaled up.
+const WEIGHTS = {
+  skills: 45,
+  experience: 25,
+  education: 15,
+  categories: 15,
+};
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Words of a job title that say nothing about the field
+const GENERIC_WORDS = new Set([
+  "senior",
+  "junior",
+  "lead",
+  "head",
+  "intern",
+  "internship",
+  "trainee",
+  "engineer",
+  "developer",
+  "manager",
+  "associate",
+  "assistant",
+  "executive",
+  "specialist",
+  "and",
+  "for",
+  "the",
+  "with",
+]);
+
+/**
+ * Reads the years of experience a job asks for from its free-text
+ * experience field: "2-4 years", "3+ years", "5 yrs" or "Fresher".
+ *
+ * @param {String} experience
+ * @returns {Number|null} Minimum years, or null when it cannot be read.
+ */
+export const parseRequiredYears = (experience) => {
+  const text = plainText(experience).toLowerCase();
+  if (/fresher|entry[\s-]level|no experience/.test(text)) return 0;
+  const match = /(\d+(?:\.\d+)?)/.exec(text);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Total years of work in a profile's experience entries. Overlapping
+ * periods are counted once and entries without an end date run until now.
+ *
+ * @param {Object[]} experience - profile.experience
+ * @returns {Number}
+ */
+export const yearsOfExperience = (experience = []) => {
+  const periods = experience
+    .filter((entry) => entry.startDate)
+    .map((entry) => [
+      new Date(entry.startDate).getTime(),
+      entry.endDate ? new Date(entry.endDate).getTime() : Date.now(),
+    ])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  periods.forEach(([start, end]) => {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+      return;
+    }
+    if (current) total += current[1] - current[0];
+    current = [start, end];
+  });
+  if (current) total += current[1] - current[0];
+
+  return Math.round((total / YEAR_MS) * 10) / 10;
+};
+
+// Skills the job asks for: well-known skills named in its requirements,
+// or else the short comma / line separated requirement items
+const requiredSkills = (job) => {
+  const requirements = plainText(job.requirements);
+  const known = findKnownSkills(requirements);
+  if (known.length) return known;
+  return [
+    ...new Set(
+      requirements
+        .split(/[\n,;•|]+/)
+        .map((item) => item.replace(/^[\s*-]+|[\s.]+$/g, ""))
+        .filter((item) => item && item.split(/\s+/).length <= 3)
+    ),
+  ];
+};
+
+const scoreSkills = (job, profile) => {
+  const required = requiredSkills(job);
+  if (!required.length) return null;
+
+  const skills = (profile.skills || []).map(plainText).filter(Boolean);
+  const matched = required.filter((skill) =>
+    skills.some(
+      (own) => own.toLowerCase() === skill.toLowerCase() || mentions(own, skill)
+    )
+  );
+
+  return {
+    score: matched.length / required.length,
+    matched,
+    missing: required.filter((skill) => !matched.includes(skill)),
+  };
+};
+
+const scoreExperience = (job, profile) => {
+  const requiredYears = parseRequiredYears(job.experience);
+  const years = yearsOfExperience(profile.experience);
+
+  let score;
+  if (requiredYears === null || requiredYears === 0) {
+    // No minimum, or one that cannot be read: any work history is enough
+    score = requiredYears === 0 || years > 0 ? 1 : 0.5;
+  } else {
+    score = Math.min(years / requiredYears, 1);
+  }
+
+  return { score, years, requiredYears };
+};
+
+// Words describing the field of the job, from its categories and title
+const fieldWords = (job) =>
+  [
+    ...(job.categoryNames || []).map(plainText),
+    ...plainText(job.title)
+      .split(/[^A-Za-z0-9+#.]+/)
+      .filter(
+        (word) => word.length > 2 && !GENERIC_WORDS.has(word.toLowerCase())
+      ),
+  ].filter(Boolean);
+
+const scoreEducation = (job, profile) => {
+  const education = profile.education || [];
+  if (!education.length) {
+    return { score: 0, degrees: [], relevant: [] };
+  }
+
+  const words = fieldWords(job);
+  const degrees = education.map((entry) => plainText(entry.degree));
+  const relevant = degrees.filter((degree) =>
+    words.some((word) => mentions(degree, word))
+  );
+
+  // Some education counts for half, education in the job's field for all
+  return { score: relevant.length ? 1 : 0.5, degrees, relevant };
+};
+
+const scoreCategories = (job, profile) => {
+  const categories = (job.categoryNames || []).map(plainText).filter(Boolean);
+  if (!categories.length) return null;
+
+  const background = [
+    ...(profile.skills || []),
+    ...(profile.experience || []).flatMap((entry) => [
+      entry.position,
+      entry.description,
+    ]),
+    ...(profile.education || []).map((entry) => entry.degree),
+  ]
+    .map(plainText)
+    .join("\n");
+
+  const matched = categories.filter((category) =>
+    mentions(background, category)
+  );
+
+  return {
+    score: matched.length / categories.length,
+    matched,
+    missing: categories.filter((category) => !matched.includes(category)),
+  };
+};
+
+const FACTORS = {
+  skills: scoreSkills,
+  experience: scoreExperience,
+  education: scoreEducation,
+  categories: scoreCategories,
+};
+
+/**
+ * Scores how well a candidate's profile fits a job, from 0 to 100.
+ * The breakdown has one entry per factor with its score (0 to 100), its
+ * weight in the total and what was matched or missing.
+ *
+ * @param {Object} job - The job (requirements, experience, categoryNames, title).
+ * @param {Object} profile - The candidate's profile.
+ * @returns {{ score: Number, breakdown: Object }}
+ */
+export const computeMatchScore = (job, profile = {}) => {
+  const breakdown = {};
+  let total = 0;
+  let totalWeight = 0;
+
+  Object.entries(FACTORS).forEach(([name, scoreFactor]) => {
+    const result = scoreFactor(job, profile || {});
+    if (!result) return;
+
+    total += result.score * WEIGHTS[name];
+    totalWeight += WEIGHTS[name];
+    breakdown[name] = {
+      ...result,
+      score: Math.round(result.score * 100),
+      weight: WEIGHTS[name],
+    };
+  });
+
+  return {
+    score: totalWeight ? Math.round((total / totalWeight) * 100) : 0,
+    breakdown,
+  };
+};
@@ -0,0 +1,94 @@
+import Company from "../models/company.model.js";
+import Job from "../models/job.model.js";
+import Report, { PENDING_REPORT_STATUSES } from "../models/report.model.js";
+import { notifyInBackground } from "./notify.js";
+
+// Read on every call so it follows the environment loaded by dotenv
+const reportHideThreshold = () =>
+  Number(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+// Tells the job's poster and company team about a moderation decision
+const notifyJobTeam = async (job, title, message) => {
+  const company = await Company.findById(job.company).select("userId");
+  notifyInBackground([job.postedBy, ...(company?.userId || [])], {
+    type: "job_moderated",
+    title,
+    message,
+    job: job._id,
+    company: job.company,
+  });
+};
+
+/**
+ * Updates a reported job after a report was filed or reviewed:
+ *
+ * - a confirmed (resolved) report closes the job and keeps it hidden
+ * - REPORT_HIDE_THRESHOLD (default 3) pending reports hide it
+ * - once no report is pending, i.e. the rest were dismissed, a hidden job
+ *   is shown again, unless a moderator closed it
+ *
+ * The company's team is told when the job gets hidden or closed.
+ *
+ * @param {ObjectId} jobId
+ * @param {Object} [options]
+ * @param {Boolean} [options.confirmed] - A report on the job was resolved.
+ * @returns {Promise<String|null>} "closed", "hidden", "restored" or null.
+ */
+export const updateJobVisibility = async (
+  jobId,
+  { confirmed = false } = {}
+) => {
+  if (confirmed) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, closedReason: { $ne: "admin" } },
+      {
+        isHidden: true,
+        hiddenAt: new Date(),
+        status: "closed",
+        closedReason: "admin",
+        closedAt: new Date(),
+      },
+      { new: true }
+    );
+    if (!job) return null;
+
+    await notifyJobTeam(
+      job,
+      "Job closed by an administrator",
+      `${job.title} was closed after a moderator reviewed reports about it.`
+    );
+    return "closed";
+  }
+
+  const pending = await Report.countDocuments({
+    targetModel: "Job",
+    target: jobId,
+    status: { $in: PENDING_REPORT_STATUSES },
+  });
+
+  if (pending >= reportHideThreshold()) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, isHidden: { $ne: true } },
+      { isHidden: true, hiddenAt: new Date() },
+      { new: true }
+    );
+    if (!job) return null;
+
+    await notifyJobTeam(
+      job,
+      "Job hidden for review",
+      `${job.title} was reported by several users and is hidden ` +
+        "until a moderator reviews it."
+    );
+    return "hidden";
+  }
+
+  // Hidden jobs stay hidden while any report is still to be reviewed
+  if (pending > 0) return null;
+
+  const { modifiedCount } = await Job.updateOne(
+    { _id: jobId, isHidden: true, closedReason: { $ne: "admin" } },
+    { isHidden: false, hiddenAt: null }
+  );
+  return modifiedCount ? "restored" : null;
+};
@@ -0,0 +1,41 @@
+import Notification from "../models/notification.model.js";
+import User from "../models/user.model.js";
+
+/**
+ * Creates a notification for each user that has this notification type
+ * turned on.
+ *
+ * @param {String[]} userIds - Recipients.
+ * @param {Object} notification - type, title, message and optional
+ * application, job and company references.
+ * @returns {Promise<Number>} Number of notifications created.
+ */
+export const notify = async (userIds, notification) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!ids.length) return 0;
+
+  const recipients = await User.find({
+    _id: { $in: ids },
+    [`preferences.notifications.${notification.type}`]: { $ne: false },
+  }).select("_id");
+
+  if (!recipients.length) return 0;
+
+  await Notification.insertMany(
+    recipients.map((recipient) => ({ ...notification, user: recipient._id }))
+  );
+  return recipients.length;
+};
+
+/**
+ * Same as notify, but never throws: notifications must not break the request
+ * that triggered them.
+ *
+ * @param {String[]} userIds - Recipients.
+ * @param {Object} notification - See notify.
+ */
+export const notifyInBackground = (userIds, notification) => {
+  notify(userIds, notification).catch((error) =>
+    console.error("Error creating notifications:", error.message)
+  );
+};
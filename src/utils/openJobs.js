@@ -0,0 +1,145 @@
+import Application from "../models/application.model.js";
+import Job from "../models/job.model.js";
+
+// Statuses that count as published (jobs posted before statuses existed
+// have none)
+const PUBLISHED = ["published", null];
+
+/**
+ * MongoDB match for jobs that are listed and take applications: published,
+ * not hidden for moderation, not expired and before their application
+ * deadline.
+ *
+ * @returns {Object}
+ */
+export const openJobFilter = () => {
+  const now = new Date();
+  return {
+    status: { $in: PUBLISHED },
+    isHidden: { $ne: true },
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      {
+        $or: [
+          { applicationDeadline: null },
+          { applicationDeadline: { $gte: now } },
+        ],
+      },
+    ],
+  };
+};
+
+/**
+ * Why a job does not take applications right now, or null if it does.
+ *
+ * @param {Object} job
+ * @returns {String|null}
+ */
+export const getApplyBlocker = (job) => {
+  const now = new Date();
+  switch (job.status || "published") {
+    case "draft":
+      return "This job has not been published yet.";
+    case "paused":
+      return "This job is not accepting applications right now.";
+    case "closed":
+      return "This job is closed.";
+    case "expired":
+      return "This job has expired.";
+    default:
+      break;
+  }
+  if (job.isHidden) {
+    return "This job is under review and not accepting applications.";
+  }
+  if (job.expiresAt && job.expiresAt <= now) {
+    return "This job has expired.";
+  }
+  if (job.applicationDeadline && job.applicationDeadline < now) {
+    return "The application deadline for this job has passed.";
+  }
+  return null;
+};
+
+/**
+ * Counts the offers ("Offered" applications) made on each job.
+ *
+ * @param {ObjectId[]} jobIds
+ * @returns {Promise<Map<String, Number>>} Job ID -> number of offers.
+ */
+export const getOfferCounts = async (jobIds) => {
+  const offers = await Application.aggregate([
+    { $match: { job: { $in: jobIds }, status: "Offered" } },
+    { $group: { _id: "$job", count: { $sum: 1 } } },
+  ]);
+  return new Map(offers.map((offer) => [String(offer._id), offer.count]));
+};
+
+/**
+ * A job is open while it takes applications and has fewer offers than
+ * openings (jobs filled before auto-closing existed are still published).
+ *
+ * @param {Object} job - The job (with status, dates and jobOpenings).
+ * @param {Map<String, Number>} offerCounts - From getOfferCounts().
+ * @returns {Boolean}
+ */
+export const isJobOpen = (job, offerCounts) =>
+  !getApplyBlocker(job) &&
+  (offerCounts.get(String(job._id)) || 0) < job.jobOpenings;
+
+/**
+ * Closes a published or paused job once its offers reach its openings, and
+ * reopens a job closed that way if an offer is withdrawn or openings are
+ * added. Manually closed jobs are left alone.
+ *
+ * @param {ObjectId} jobId
+ * @returns {Promise<String|null>} "closed", "reopened" or null.
+ */
+export const syncFilledStatus = async (jobId) => {
+  const job = await Job.findById(jobId).select("jobOpenings");
+  if (!job) return null;
+
+  const offers = await Application.countDocuments({
+    job: jobId,
+    status: "Offered",
+  });
+
+  if (offers >= job.jobOpenings) {
+    const { modifiedCount } = await Job.updateOne(
+      { _id: jobId, status: { $in: [...PUBLISHED, "paused"] } },
+      {
+        $set: {
+          status: "closed",
+          closedReason: "filled",
+          closedAt: new Date(),
+        },
+      }
+    );
+    return modifiedCount ? "closed" : null;
+  }
+
+  const { modifiedCount } = await Job.updateOne(
+    { _id: jobId, status: "closed", closedReason: "filled" },
+    {
+      $set: { status: "published" },
+      $unset: { closedReason: "", closedAt: "" },
+    }
+  );
+  return modifiedCount ? "reopened" : null;
+};
+
+/**
+ * Moves published and paused jobs past their expiry date to "expired".
+ *
+ * @returns {Promise<Number>} Number of jobs expired.
+ */
+export const expireJobs = async () => {
+  const { modifiedCount } = await Job.updateMany(
+    {
+      status: { $in: [...PUBLISHED, "paused"] },
+      expiresAt: { $lte: new Date() },
+    },
+    { $set: { status: "expired" } }
+  );
+  return modifiedCount;
+};
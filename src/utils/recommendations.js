@@ -0,0 +1,181 @@
+import Application from "../models/application.model.js";
+import Job from "../models/job.model.js";
+import JobCategory from "../models/job_categories.model.js";
+import SavedSearch from "../models/saved_search.model.js";
+import User from "../models/user.model.js";
+import { matchesText } from "./jobAlerts.js";
+import { getOfferCounts, isJobOpen, openJobFilter } from "./openJobs.js";
+import { mentions, plainText } from "./text.js";
+
+// Recent jobs considered for recommendations
+const CANDIDATE_LIMIT = 500;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Points per signal. A job needs at least one point to be recommended.
+const POINTS = {
+  skill: 3, // per profile skill the job asks for, up to MAX_SKILL_MATCHES
+  savedSearch: 4, // matches one of the user's saved searches
+  category: 2, // per category of jobs the user applied to or saved
+  location: 2, // in a location the user applied to or saved jobs in
+  jobType: 1, // same job type as jobs the user applied to
+  recent: 0.5, // posted in the last week
+};
+const MAX_SKILL_MATCHES = 5;
+
+const listNames = (names) =>
+  names.length > 3
+    ? `${names.slice(0, 3).join(", ")} and more`
+    : names.join(", ");
+
+// Everything a user has told us about the jobs they want: profile skills,
+// jobs they applied to or saved, and their saved searches
+const loadSignals = async (userId) => {
+  const [user, applications, savedSearches] = await Promise.all([
+    User.findById(userId).select("profile.skills savedJobs"),
+    Application.find({ applicant: userId })
+      .select("job")
+      .populate("job", "categories location jobType"),
+    SavedSearch.find({ user: userId }),
+  ]);
+
+  const savedJobs = await Job.find({
+    _id: { $in: (user?.savedJobs || []).map((saved) => saved.job) },
+  }).select("categories location");
+
+  const appliedJobs = applications.map((app) => app.job).filter(Boolean);
+  const categoryIds = new Set();
+  const locations = new Map(); // lowercase -> as written
+  const jobTypes = new Set();
+
+  [...appliedJobs, ...savedJobs].forEach((job) => {
+    (job.categories || []).forEach((id) => categoryIds.add(String(id)));
+    if (job.location) {
+      const location = plainText(job.location);
+      locations.set(location.toLowerCase(), location);
+    }
+  });
+  appliedJobs.forEach((job) => jobTypes.add(job.jobType));
+
+  // Category ID -> name, for the explanations
+  const categories = new Map(
+    (
+      await JobCategory.find({ _id: { $in: [...categoryIds] } }).select("name")
+    ).map((category) => [String(category._id), plainText(category.name)])
+  );
+
+  return {
+    skills: (user?.profile?.skills || []).map(plainText).filter(Boolean),
+    appliedJobIds: applications.map((app) => app.job?._id || app.job),
+    categories,
+    locations,
+    jobTypes,
+    savedSearches,
+  };
+};
+
+const matchesSavedSearch = (search, job) =>
+  (!search.jobType?.length || search.jobType.includes(job.jobType)) &&
+  (!search.categories?.length ||
+    search.categories.some((id) =>
+      job.categories.some((category) => String(category) === String(id))
+    )) &&
+  (search.minSalary == null || (job.salary || 0) >= search.minSalary) &&
+  matchesText(search, job);
+
+// Points and reasons for one job
+const scoreJob = (job, signals) => {
+  let score = 0;
+  const reasons = [];
+
+  if (signals.skills.length) {
+    const jobText = [job.title, job.requirements, job.description]
+      .map(plainText)
+      .join("\n");
+    const skills = signals.skills.filter((skill) => mentions(jobText, skill));
+    if (skills.length) {
+      score += Math.min(skills.length, MAX_SKILL_MATCHES) * POINTS.skill;
+      reasons.push(`Matches your skills: ${listNames(skills)}`);
+    }
+  }
+
+  const search = signals.savedSearches.find((saved) =>
+    matchesSavedSearch(saved, job)
+  );
+  if (search) {
+    score += POINTS.savedSearch;
+    reasons.push(`Matches your saved search "${search.name}"`);
+  }
+
+  const categories = (job.categories || [])
+    .map(String)
+    .filter((id) => signals.categories.has(id));
+  if (categories.length) {
+    score += categories.length * POINTS.category;
+    const names = categories.map((id) => signals.categories.get(id));
+    reasons.push(`In ${listNames(names)}, like jobs you applied to or saved`);
+  }
+
+  const location = signals.locations.get(plainText(job.location).toLowerCase());
+  if (location) {
+    score += POINTS.location;
+    reasons.push(`In ${location}, where you have applied or saved jobs`);
+  }
+
+  if (signals.jobTypes.has(job.jobType)) {
+    score += POINTS.jobType;
+    reasons.push(`${job.jobType}, like jobs you applied to`);
+  }
+
+  if (score > 0 && Date.now() - job.createdAt < 7 * DAY) {
+    score += POINTS.recent;
+    reasons.push("Posted this week");
+  }
+
+  return { score, reasons };
+};
+
+/**
+ * Ranks open jobs for a job seeker from their profile skills, the jobs they
+ * applied to or saved and their saved searches. Jobs they already applied
+ * to and jobs with all openings filled are left out. Without any matching
+ * signal the newest open jobs are returned.
+ *
+ * @param {String} userId
+ * @returns {Promise<Object[]>} Jobs, best first, each with
+ * recommendation: { score, reasons }.
+ */
+export const recommendJobs = async (userId) => {
+  const signals = await loadSignals(userId);
+
+  const jobs = await Job.find({
+    ...openJobFilter(),
+    _id: { $nin: signals.appliedJobIds },
+    postedBy: { $ne: userId },
+  })
+    .populate("company")
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  const offerCounts = await getOfferCounts(jobs.map((job) => job._id));
+  const openJobs = jobs.filter((job) => isJobOpen(job, offerCounts));
+
+  const scored = openJobs.map((job) => ({
+    job,
+    recommendation: scoreJob(job, signals),
+  }));
+  const matches = scored.filter((item) => item.recommendation.score > 0);
+
+  if (!matches.length) {
+    return scored.map(({ job }) => ({
+      job,
+      recommendation: { score: 0, reasons: ["Recently posted"] },
+    }));
+  }
+
+  // Best score first, newer jobs first on a tie (the list is newest first
+  // and the sort is stable)
+  return matches.sort(
+    (a, b) => b.recommendation.score - a.recommendation.score
+  );
+};
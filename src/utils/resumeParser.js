@@ -0,0 +1,480 @@
+import mammoth from "mammoth";
+// The package entry point runs a debug script when loaded without a parent
+// module, so the parser is imported directly
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import { escapeRegex } from "./jobFilters.js";
+
+export const PARSABLE_RESUME_TYPES = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+};
+
+// Skills recognised anywhere in the text. Items listed under a "Skills"
+// heading are picked up as well, even when they are not in this list.
+const KNOWN_SKILLS = [
+  "JavaScript",
+  "TypeScript",
+  "Python",
+  "Java",
+  "C",
+  "C++",
+  "C#",
+  "Go",
+  "Rust",
+  "Ruby",
+  "PHP",
+  "Kotlin",
+  "Swift",
+  "Scala",
+  "R",
+  "Dart",
+  "SQL",
+  "HTML",
+  "CSS",
+  "Sass",
+  "Tailwind CSS",
+  "Bootstrap",
+  "React",
+  "React Native",
+  "Redux",
+  "Next.js",
+  "Angular",
+  "Vue.js",
+  "Svelte",
+  "Node.js",
+  "Express",
+  "NestJS",
+  "Django",
+  "Flask",
+  "FastAPI",
+  "Spring",
+  "Spring Boot",
+  "Laravel",
+  "Ruby on Rails",
+  ".NET",
+  "GraphQL",
+  "REST",
+  "MongoDB",
+  "Mongoose",
+  "MySQL",
+  "PostgreSQL",
+  "SQLite",
+  "Redis",
+  "Elasticsearch",
+  "Firebase",
+  "DynamoDB",
+  "Cassandra",
+  "Docker",
+  "Kubernetes",
+  "Terraform",
+  "Ansible",
+  "Jenkins",
+  "GitHub Actions",
+  "CI/CD",
+  "AWS",
+  "Azure",
+  "GCP",
+  "Linux",
+  "Git",
+  "Jest",
+  "Mocha",
+  "Cypress",
+  "Selenium",
+  "Webpack",
+  "Vite",
+  "Figma",
+  "Photoshop",
+  "Machine Learning",
+  "Deep Learning",
+  "TensorFlow",
+  "PyTorch",
+  "scikit-learn",
+  "Pandas",
+  "NumPy",
+  "Data Analysis",
+  "Tableau",
+  "Power BI",
+  "Excel",
+  "Agile",
+  "Scrum",
+  "Jira",
+  "Microservices",
+];
+
+const SECTION_HEADINGS = {
+  skills: /^(technical\s+|key\s+|core\s+)?(skills|competencies|technologies|skill\s+set)$/,
+  education: /^(education|academic\s+(background|qualifications?)|qualifications?)$/,
+  experience: /^((work|professional|employment|relevant)\s+)?(experience|history|employment(\s+history)?)$|^work\s+history$/,
+  other: /^(projects?|certifications?|summary|profile|objective|about(\s+me)?|contact|achievements|awards|languages|interests|hobbies|publications|references|personal\s+details)$/,
+};
+
+const DEGREE_PATTERN =
+  /\b(b\.?\s?tech|m\.?\s?tech|b\.?\s?e\b|m\.?\s?e\b|b\.?\s?sc|m\.?\s?sc|b\.?\s?s\b|m\.?\s?s\b|b\.?\s?a\b|m\.?\s?a\b|b\.?\s?com|m\.?\s?com|bca|mca|bba|mba|ph\.?\s?d|bachelor|master|doctor(ate)?|diploma|associate|high\s+school|higher\s+secondary|secondary\s+school)/i;
+const INSTITUTION_PATTERN =
+  /\b(university|college|institute|school|academy|polytechnic|iit|nit)\b/i;
+const POSITION_PATTERN =
+  /\b(engineer|developer|programmer|manager|intern|analyst|designer|lead|consultant|architect|scientist|specialist|officer|director|administrator|coordinator|associate|executive|assistant|head|founder|tester|trainee|freelancer?)\b/i;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const DATE = String.raw`(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?,?\s+\d{4}|\d{1,2}[/-]\d{4}|\d{4})`;
+const DATE_RANGE = new RegExp(
+  String.raw`(${DATE})\s*(?:-|–|—|to|until)\s*(${DATE}|present|current|now|today)`,
+  "i"
+);
+const SINGLE_YEAR = /\b(19|20)\d{2}\b/;
+const YEARS = /\b(19|20)\d{2}\b/g;
+
+const URL_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s,;)]*)?/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{8,}\d/g;
+
+const SOCIAL_LINKS = {
+  linkedIn: /^(?:www\.)?linkedin\.com\/(in|pub)\/[^/\s]+/i,
+  github: /^(?:www\.)?github\.com\/[^/\s]+/i,
+  twitter: /^(?:www\.)?twitter\.com\/[^/\s]+/i,
+};
+
+/**
+ * Extracts the plain text of a PDF or DOCX resume.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @param {String} mimeType - The file type (see PARSABLE_RESUME_TYPES).
+ * @returns {Promise<String>}
+ */
+export const extractResumeText = async (buffer, mimeType) => {
+  const format = PARSABLE_RESUME_TYPES[mimeType];
+  if (format === "pdf") {
+    const { text } = await pdfParse(buffer);
+    return text;
+  }
+  if (format === "docx") {
+    // Paragraphs come out separated by a blank line: keep blank lines only
+    // where the document has empty paragraphs
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value.replace(/\n\n/g, "\n");
+  }
+  throw new Error("Only pdf and docx resumes can be parsed");
+};
+
+// "Mar 2021", "03/2021" or "2021" to the first day of that month (UTC)
+const parseDate = (value) => {
+  if (!value) return null;
+  const text = value.toLowerCase().replace(/[.,]/g, " ").trim();
+  if (/^(present|current|now|today)$/.test(text)) return null;
+
+  const numeric = /^(\d{1,2})[/-](\d{4})$/.exec(text);
+  if (numeric) {
+    const month = Number(numeric[1]);
+    if (month < 1 || month > 12) return null;
+    return new Date(Date.UTC(Number(numeric[2]), month - 1, 1));
+  }
+
+  const named = /^([a-z]+)\s+(\d{4})$/.exec(text);
+  if (named) {
+    const month = MONTHS.indexOf(named[1].slice(0, 3));
+    if (month === -1) return null;
+    return new Date(Date.UTC(Number(named[2]), month, 1));
+  }
+
+  if (/^\d{4}$/.test(text)) return new Date(Date.UTC(Number(text), 0, 1));
+  return null;
+};
+
+// { startDate, endDate, current, rest } of the first date range in a line
+const findDateRange = (line) => {
+  const match = DATE_RANGE.exec(line);
+  if (!match) return null;
+  return {
+    startDate: parseDate(match[1]),
+    endDate: parseDate(match[2]),
+    current: /^(present|current|now|today)$/i.test(match[2]),
+    rest: cleanPart(line.replace(match[0], " ")),
+  };
+};
+
+const cleanPart = (value) =>
+  value
+    .replace(/[()[\]]/g, " ")
+    .replace(/\s{2,}/g, " ")
+    .replace(/^[\s,|•·*:–—-]+|[\s,|•·*:–—-]+$/g, "");
+
+const normalizeHeading = (line) =>
+  line
+    .toLowerCase()
+    .replace(/[:_•·*#]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Splits the text into lines grouped by section heading. Lines before the
+// first heading go to "header". A heading followed by ":" and text on the
+// same line ("Skills: React, Node.js") keeps that text in the section; other
+// labels ("Languages: ...") are only headings on a line of their own.
+const splitSections = (text) => {
+  const sections = {
+    header: [],
+    skills: [],
+    education: [],
+    experience: [],
+    other: [],
+  };
+  let current = "header";
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/\t/g, " ").trim();
+    const inline = /^([A-Za-z ]{3,40}):\s*(.+)$/.exec(line);
+    const heading = normalizeHeading(inline ? inline[1] : line);
+
+    const section = Object.keys(SECTION_HEADINGS).find(
+      (name) =>
+        SECTION_HEADINGS[name].test(heading) && !(inline && name === "other")
+    );
+    if (section && line.length <= 60) {
+      current = section;
+      if (inline) sections[current].push(inline[2]);
+      return;
+    }
+    sections[current].push(line);
+  });
+
+  return sections;
+};
+
+/**
+ * Finds well-known skills mentioned in a text. They are matched with their
+ * usual spelling (or in capitals) so that words like "rest" or "spring" in
+ * a sentence are not taken for skills. One and two letter names ("C", "Go")
+ * are left out, they are only recognised in a resume's skills section.
+ *
+ * @param {String} text
+ * @returns {String[]} The skills found, spelled as in KNOWN_SKILLS.
+ */
+export const findKnownSkills = (text) =>
+  KNOWN_SKILLS.filter((skill) => skill.length > 2).filter((skill) =>
+    [skill, skill.toUpperCase()].some((spelling) =>
+      new RegExp(
+        `(^|[^A-Za-z0-9+#.])${escapeRegex(spelling)}(?=$|[^A-Za-z0-9+#])`,
+        "m"
+      ).test(text)
+    )
+  );
+
+// Items of the skills section: comma, pipe or bullet separated
+const listSectionSkills = (lines) =>
+  lines
+    .flatMap((line) =>
+      line.replace(/^[^:]{1,30}:\s*/, "").split(/[,|•·;]|\s{2,}|\s\/\s/)
+    )
+    .map(cleanPart)
+    .filter((item) => item.length > 0 && item.length <= 40)
+    .filter((item) => item.split(" ").length <= 4);
+
+const uniqueCaseInsensitive = (values) => {
+  const seen = new Set();
+  return values.filter((value) => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Groups the lines of a section into entries. A new entry starts at a blank
+// line, or at a line matching startsEntry once the current entry has one.
+const groupEntries = (lines, startsEntry) => {
+  const entries = [];
+  let current = [];
+  lines.forEach((line) => {
+    if (!line) {
+      if (current.length) entries.push(current);
+      current = [];
+      return;
+    }
+    if (current.some(startsEntry) && startsEntry(line)) {
+      entries.push(current);
+      current = [];
+    }
+    current.push(line);
+  });
+  if (current.length) entries.push(current);
+  return entries;
+};
+
+const parseEducation = (lines) =>
+  groupEntries(lines, (line) => DEGREE_PATTERN.test(line))
+    .map((entry) => {
+      let degree = null;
+      let institution = null;
+      let dates = null;
+
+      entry.forEach((line) => {
+        const range = findDateRange(line);
+        const rest = (range ? range.rest : line).replace(YEARS, " ");
+        if (range && !dates) dates = range;
+
+        // "B.Tech in Computer Science, XYZ University" holds both
+        const parts = rest.split(/\s[|–—-]\s|,\s(?=[^,]*\b(?:university|college|institute|school)\b)/i);
+        parts.map(cleanPart).forEach((part) => {
+          if (!degree && DEGREE_PATTERN.test(part)) degree = part;
+          else if (!institution && INSTITUTION_PATTERN.test(part)) {
+            institution = part;
+          }
+        });
+      });
+
+      if (!dates) {
+        const year = entry.map((line) => SINGLE_YEAR.exec(line)).find(Boolean);
+        if (year) {
+          // A single year is when the degree was completed
+          dates = { startDate: null, endDate: parseDate(year[0]) };
+        }
+      }
+
+      return {
+        degree,
+        institution,
+        startDate: dates?.startDate || null,
+        endDate: dates?.endDate || null,
+      };
+    })
+    .filter((entry) => entry.degree || entry.institution);
+
+// "Developer at Acme", "Developer @ Acme", "Acme | Developer", "Developer, Acme"
+const splitPositionAndCompany = (text) => {
+  const at = /^(.+?)\s+(?:at|@)\s+(.+)$/i.exec(text);
+  if (at) return { position: cleanPart(at[1]), companyName: cleanPart(at[2]) };
+
+  const parts = text.split(/\s[|–—-]\s|,\s/).map(cleanPart).filter(Boolean);
+  if (parts.length < 2) {
+    return POSITION_PATTERN.test(text)
+      ? { position: cleanPart(text), companyName: null }
+      : { position: null, companyName: cleanPart(text) || null };
+  }
+  const positionIndex = parts.findIndex((part) => POSITION_PATTERN.test(part));
+  if (positionIndex === -1) {
+    return { position: parts[0], companyName: parts[1] };
+  }
+  return {
+    position: parts[positionIndex],
+    companyName: parts.find((_, index) => index !== positionIndex),
+  };
+};
+
+const parseExperience = (lines) =>
+  groupEntries(lines, (line) => DATE_RANGE.test(line))
+    .map((entry) => {
+      const dateIndex = entry.findIndex((line) => DATE_RANGE.test(line));
+      if (dateIndex === -1) return null;
+      const range = findDateRange(entry[dateIndex]);
+
+      // The title is on the date line, or on the line(s) right before it
+      const titleLines = entry.slice(0, dateIndex);
+      if (range.rest) titleLines.push(range.rest);
+      const title = titleLines.slice(-2);
+
+      let position = null;
+      let companyName = null;
+      if (title.length === 2 && !/\s(at|@)\s|\s[|–—]\s/.test(title[1])) {
+        // Two lines: one is the position, the other the company
+        const first = POSITION_PATTERN.test(title[0]);
+        position = cleanPart(first ? title[0] : title[1]);
+        companyName = cleanPart(first ? title[1] : title[0]);
+      } else if (title.length) {
+        ({ position, companyName } = splitPositionAndCompany(
+          title[title.length - 1]
+        ));
+      }
+
+      const description = entry
+        .slice(dateIndex + 1)
+        .map((line) => line.replace(/^[•·*–-]\s*/, ""))
+        .join("\n")
+        .trim();
+
+      return {
+        position: position || null,
+        companyName: companyName || null,
+        startDate: range.startDate,
+        endDate: range.current ? null : range.endDate,
+        description: description || null,
+      };
+    })
+    .filter(Boolean);
+
+const parseLinks = (text) => {
+  const socialLinks = {};
+  const links = [];
+  const emails = text.match(EMAIL_PATTERN) || [];
+
+  (text.match(URL_PATTERN) || []).forEach((match) => {
+    if (emails.some((email) => email.includes(match))) return;
+    const bare = match.replace(/^https?:\/\//i, "").replace(/[./]+$/, "");
+    if (!bare.includes("/") && !/^www\./i.test(bare) && !/^https?:/i.test(match)) {
+      // "Node.js" and "e.g" look like domains, plain hosts need a scheme
+      return;
+    }
+    const url = `https://${bare}`;
+    const network = Object.keys(SOCIAL_LINKS).find((name) =>
+      SOCIAL_LINKS[name].test(bare)
+    );
+    if (network) {
+      if (!socialLinks[network]) socialLinks[network] = url;
+    } else if (!links.includes(url)) {
+      links.push(url);
+    }
+  });
+
+  return { socialLinks, links, emails: uniqueCaseInsensitive(emails) };
+};
+
+const parsePhones = (text) =>
+  uniqueCaseInsensitive(
+    (text.match(PHONE_PATTERN) || [])
+      .map((phone) => phone.trim())
+      // Date ranges like "2019 - 2021" are not phone numbers
+      .filter((phone) => {
+        const digits = phone.replace(/\D/g, "").length;
+        return digits >= 10 && digits <= 15;
+      })
+  );
+
+/**
+ * Extracts skills, education, work history and contact details from the
+ * text of a resume. Everything is best effort: fields that could not be
+ * found are null.
+ *
+ * @param {String} text - The resume text (see extractResumeText).
+ * @returns {Object} { skills, education, experience, socialLinks, links, emails, phones }
+ */
+export const parseResumeText = (text) => {
+  const sections = splitSections(String(text || ""));
+  const { socialLinks, links, emails } = parseLinks(text);
+
+  const skills = uniqueCaseInsensitive([
+    ...listSectionSkills(sections.skills),
+    ...findKnownSkills(text),
+  ]);
+
+  return {
+    skills,
+    education: parseEducation(sections.education),
+    experience: parseExperience(sections.experience),
+    socialLinks,
+    links,
+    emails,
+    phones: parsePhones(sections.header.join("\n")),
+  };
+};
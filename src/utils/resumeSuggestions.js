@@ -0,0 +1,149 @@
+import path from "path";
+import validator from "validator";
+import Company from "../models/company.model.js";
+import ResumeSuggestion from "../models/resume_suggestion.model.js";
+import {
+  extractResumeText,
+  PARSABLE_RESUME_TYPES,
+  parseResumeText,
+} from "./resumeParser.js";
+import { getStorage } from "./storage/index.js";
+
+const SUGGESTION_TTL_DAYS = 7;
+
+const MIME_TYPES = Object.fromEntries(
+  Object.entries(PARSABLE_RESUME_TYPES).map(([mimeType, format]) => [
+    `.${format}`,
+    mimeType,
+  ])
+);
+
+const sameText = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Returns the MIME type of a parsable resume from its file name or URL,
+ * or null when it is not a PDF or DOCX file.
+ *
+ * @param {String} name
+ * @returns {String|null}
+ */
+export const resumeMimeType = (name) =>
+  MIME_TYPES[path.extname(String(name || "").split("?")[0]).toLowerCase()] ||
+  null;
+
+/**
+ * Reads a resume stored with the storage provider into memory.
+ *
+ * @param {String} url - A URL returned by the storage provider.
+ * @returns {Promise<Buffer>}
+ */
+export const readStoredResume = async (url) => {
+  const key = getStorage().keyFromUrl(url);
+  if (!key) throw new Error("The resume is not stored on this server");
+
+  const stream = await getStorage().createReadStream(key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Companies named in the parsed work history, by lowercase name. Names are
+// looked up both as written and HTML-escaped, as company names may have
+// been stored escaped.
+const findCompanies = async (names) => {
+  const wanted = [...new Set(names.filter(Boolean))];
+  if (!wanted.length) return new Map();
+
+  const companies = await Company.find({
+    name: { $in: [...wanted, ...wanted.map((name) => validator.escape(name))] },
+  })
+    .collation({ locale: "en", strength: 2 })
+    .select("name");
+
+  const byName = new Map();
+  companies.forEach((company) => {
+    const name = validator.unescape(company.name).toLowerCase();
+    if (!byName.has(name)) byName.set(name, company._id);
+  });
+  return byName;
+};
+
+const missingFields = (entry, fields) =>
+  fields.filter((field) => !entry[field]);
+
+/**
+ * Parses a resume and saves what it adds to the user's profile as a
+ * suggestion. Skills, education and work history already on the profile
+ * are left out, as are social links that are unchanged.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} resume - { buffer, mimeType, url, originalName }
+ * @returns {Promise<Object>} The saved ResumeSuggestion, including its text.
+ */
+export const createResumeSuggestion = async (user, resume) => {
+  const text = await extractResumeText(resume.buffer, resume.mimeType);
+  const parsed = parseResumeText(text);
+  const profile = user.profile || {};
+
+  const skills = parsed.skills.filter(
+    (skill) => !(profile.skills || []).some((current) => sameText(current, skill))
+  );
+
+  const education = parsed.education
+    .filter(
+      (entry) =>
+        !(profile.education || []).some(
+          (current) =>
+            sameText(current.degree, entry.degree) &&
+            sameText(current.institution, entry.institution)
+        )
+    )
+    .map((entry) => ({
+      ...entry,
+      missing: missingFields(entry, ["degree", "institution", "startDate"]),
+    }));
+
+  const companies = await findCompanies(
+    parsed.experience.map((entry) => entry.companyName?.toLowerCase())
+  );
+  const experience = parsed.experience
+    .map((entry) => ({
+      ...entry,
+      company: companies.get(entry.companyName?.toLowerCase()) || null,
+    }))
+    .filter(
+      (entry) =>
+        !(profile.experience || []).some(
+          (current) =>
+            entry.company &&
+            String(current.company) === String(entry.company) &&
+            sameText(current.position, entry.position)
+        )
+    )
+    .map((entry) => ({
+      ...entry,
+      missing: missingFields(entry, ["position", "company", "startDate"]),
+    }));
+
+  const socialLinks = Object.fromEntries(
+    Object.entries(parsed.socialLinks).filter(
+      ([network, url]) => profile.socialLinks?.[network] !== url
+    )
+  );
+
+  return ResumeSuggestion.create({
+    user: user._id,
+    resumeUrl: resume.url,
+    resumeOriginalName: resume.originalName,
+    text,
+    skills,
+    education,
+    experience,
+    socialLinks,
+    links: parsed.links,
+    emails: parsed.emails,
+    phones: parsed.phones,
+    expiresAt: new Date(Date.now() + SUGGESTION_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+};
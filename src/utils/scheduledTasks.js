@@ -0,0 +1,30 @@
+import { purgeUnverifiedUsers } from "./accountCleanup.js";
+import { sendDueDigests } from "./jobAlerts.js";
+import { expireJobs } from "./openJobs.js";
+import { defineTask } from "./scheduler.js";
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Registers the application's recurring tasks with the scheduler.
+ */
+export const registerScheduledTasks = () => {
+  defineTask("expire-jobs", {
+    description: "Moves jobs past their expiry date to expired",
+    interval: HOUR,
+    handler: async () => ({ expired: await expireJobs() }),
+  });
+
+  // A digest is only sent once it is due, so checking hourly is enough
+  defineTask("job-alert-digests", {
+    description: "Sends the daily and weekly job alert digests that are due",
+    interval: HOUR,
+    handler: async () => ({ sent: await sendDueDigests() }),
+  });
+
+  defineTask("purge-unverified-users", {
+    description: "Deletes accounts whose email was never verified",
+    interval: 24 * HOUR,
+    handler: async () => ({ deleted: await purgeUnverifiedUsers() }),
+  });
+};
@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import os from "os";
+import ScheduledTask from "../models/scheduled_task.model.js";
+
+const MINUTE = 60 * 1000;
+
+// Identifies this server process in task locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+const tasks = new Map();
+let timer = null;
+let ticking = false;
+// Whether the task documents match the defined tasks
+let synced = false;
+
+/**
+ * Registers a recurring task. Its run state is stored in a ScheduledTask
+ * document created when the scheduler starts.
+ *
+ * @param {String} name - Unique task name.
+ * @param {Object} options
+ * @param {Number} options.interval - Milliseconds between runs.
+ * @param {Function} options.handler - Async function doing the work. What it
+ * returns is saved as the task's lastResult.
+ * @param {String} [options.description]
+ * @param {Number} [options.maxRetries=3] - Retries after a failure before
+ * falling back to the regular interval.
+ * @param {Number} [options.retryDelay=1 minute] - Delay before the first
+ * retry, doubled for every further failure.
+ * @param {Number} [options.lockTimeout=30 minutes] - How long a run may take
+ * before another instance may take the task over.
+ */
+export const defineTask = (name, options) => {
+  tasks.set(name, {
+    description: "",
+    maxRetries: 3,
+    retryDelay: MINUTE,
+    lockTimeout: 30 * MINUTE,
+    ...options,
+    name,
+  });
+  synced = false;
+};
+
+// Creates the documents of new tasks and keeps interval and description in
+// line with the code. New tasks are due right away.
+const syncDefinitions = async () => {
+  for (const task of tasks.values()) {
+    try {
+      await ScheduledTask.updateOne(
+        { name: task.name },
+        {
+          $set: { intervalMs: task.interval, description: task.description },
+          $setOnInsert: { nextRunAt: new Date() },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance created it at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+// Takes the lock of a task that is due. Returns the task document, or null
+// if the task is not due or another instance holds the lock.
+const acquire = (task, now) =>
+  ScheduledTask.findOneAndUpdate(
+    {
+      name: task.name,
+      enabled: true,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + task.lockTimeout),
+        lastStatus: "running",
+        lastStartedAt: now,
+      },
+    },
+    { new: true }
+  );
+
+// Runs a task whose lock is held and records the outcome. A failure is
+// retried with exponential backoff, up to maxRetries times.
+const runTask = async (task, doc) => {
+  const startedAt = doc.lastStartedAt;
+  let update;
+
+  try {
+    const result = await task.handler();
+    const finishedAt = new Date();
+    update = {
+      $set: {
+        lastStatus: "succeeded",
+        lastFinishedAt: finishedAt,
+        lastResult: result ?? null,
+        lastDurationMs: finishedAt - startedAt,
+        failedAttempts: 0,
+        nextRunAt: new Date(startedAt.getTime() + task.interval),
+      },
+      $inc: { runCount: 1 },
+    };
+  } catch (error) {
+    console.error(`Scheduled task ${task.name} failed:`, error.message);
+
+    const finishedAt = new Date();
+    const failedAttempts = doc.failedAttempts + 1;
+    const nextRunAt =
+      failedAttempts <= task.maxRetries
+        ? new Date(
+            finishedAt.getTime() + task.retryDelay * 2 ** (failedAttempts - 1)
+          )
+        : new Date(startedAt.getTime() + task.interval);
+    update = {
+      $set: {
+        lastStatus: "failed",
+        lastFinishedAt: finishedAt,
+        lastError: error.message,
+        lastErrorAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        failedAttempts,
+        nextRunAt,
+      },
+      $inc: { runCount: 1, failureCount: 1 },
+    };
+  }
+
+  update.$set.lockedBy = null;
+  update.$set.lockedUntil = null;
+
+  // Skipped if the lock timed out and another instance took the task over
+  await ScheduledTask.updateOne(
+    { _id: doc._id, lockedBy: INSTANCE_ID },
+    update
+  );
+};
+
+// Runs every due task, one after the other. The task documents are
+// synced first, again on the next tick if that fails.
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    if (!synced) {
+      await syncDefinitions();
+      synced = true;
+    }
+    for (const task of tasks.values()) {
+      const doc = await acquire(task, new Date());
+      if (doc) await runTask(task, doc);
+    }
+  } catch (error) {
+    console.error("Error running scheduled tasks:", error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Starts checking for due tasks. Safe to call on every server instance:
+ * each run is locked to one of them.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.pollInterval=1 minute] - How often due tasks are
+ * looked up.
+ */
+export const startScheduler = ({ pollInterval = MINUTE } = {}) => {
+  if (timer) return;
+  timer = setInterval(tick, pollInterval);
+  tick();
+};
+
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Run state of every registered task.
+ *
+ * @returns {Promise<Object[]>}
+ */
+export const getTaskStatuses = async () => {
+  const docs = await ScheduledTask.find({ name: { $in: [...tasks.keys()] } })
+    .sort({ name: 1 })
+    .lean();
+  const now = new Date();
+  return docs.map((doc) => ({
+    ...doc,
+    maxRetries: tasks.get(doc.name).maxRetries,
+    isRunning: Boolean(doc.lockedUntil && doc.lockedUntil > now),
+  }));
+};
+
+/**
+ * Makes a task due now; it runs on the next check of whichever instance
+ * gets the lock.
+ *
+ * @param {String} name
+ * @returns {Promise<Object|null>} The task document, or null if unknown.
+ */
+export const runTaskNow = async (name) => {
+  if (!tasks.has(name)) return null;
+  return ScheduledTask.findOneAndUpdate(
+    { name },
+    { $set: { nextRunAt: new Date() } },
+    { new: true }
+  );
+};
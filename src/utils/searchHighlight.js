@@ -0,0 +1,110 @@
+import validator from "validator";
+import { escapeRegex } from "./jobFilters.js";
+import { plainText } from "./text.js";
+
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Splits a search string the same way MongoDB $text does:
+ * "quoted phrases", -excluded words and plain terms.
+ *
+ * @param {String} search - The raw search string.
+ * @returns {{ terms: String[], phrases: String[], excluded: String[] }}
+ */
+export const parseSearch = (search) => {
+  const phrases = [];
+  const rest = String(search).replace(/"([^"]+)"/g, (_, phrase) => {
+    phrases.push(phrase.trim());
+    return " ";
+  });
+
+  const terms = [];
+  const excluded = [];
+  rest
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      if (word.startsWith("-")) {
+        if (word.length > 1) excluded.push(word.slice(1));
+      } else {
+        terms.push(word);
+      }
+    });
+
+  return { terms, phrases: phrases.filter(Boolean), excluded };
+};
+
+// One case-insensitive pattern for every phrase and term, longest first so a
+// phrase wins over the words inside it
+const buildPattern = ({ terms, phrases }) => {
+  const parts = [...phrases, ...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex);
+  return parts.length ? new RegExp(`(${parts.join("|")})`, "gi") : null;
+};
+
+// Highlighted text of a field, or null when nothing matches. Stored text
+// may hold markup (escaped or not), so the plain text is matched and every
+// piece is HTML-escaped before the <mark> tags are added.
+const highlightField = (text, pattern, snippet) => {
+  if (!text) return null;
+  const value = plainText(text);
+
+  pattern.lastIndex = 0;
+  const match = pattern.exec(value);
+  if (!match) return null;
+
+  let start = 0;
+  let end = value.length;
+  if (snippet) {
+    start = Math.max(match.index - SNIPPET_RADIUS, 0);
+    end = Math.min(
+      match.index + match[0].length + SNIPPET_RADIUS,
+      value.length
+    );
+  }
+
+  // With a capturing pattern, split() puts the matches at odd indexes
+  const marked = value
+    .slice(start, end)
+    .split(pattern)
+    .map((piece, index) =>
+      index % 2
+        ? `<mark>${validator.escape(piece)}</mark>`
+        : validator.escape(piece)
+    )
+    .join("");
+  return `${start > 0 ? "…" : ""}${marked}${end < value.length ? "…" : ""}`;
+};
+
+/**
+ * Builds highlighted snippets of the matched search terms for a job.
+ * Only fields that contain a match are returned.
+ *
+ * @param {Object} job - Plain job object.
+ * @param {String} search - The raw search string.
+ * @returns {Object} Map of field name to highlighted text.
+ */
+export const buildHighlights = (job, search) => {
+  const pattern = buildPattern(parseSearch(search));
+  if (!pattern) return {};
+
+  const highlights = {};
+  const fields = {
+    title: false,
+    companyName: false,
+    requirements: true,
+    description: true,
+  };
+  Object.entries(fields).forEach(([field, snippet]) => {
+    const highlighted = highlightField(job[field], pattern, snippet);
+    if (highlighted) highlights[field] = highlighted;
+  });
+
+  const categories = (job.categoryNames || [])
+    .map((name) => highlightField(name, pattern, false))
+    .filter(Boolean);
+  if (categories.length) highlights.categoryNames = categories;
+
+  return highlights;
+};
@@ -0,0 +1,90 @@
+import { Readable } from "stream";
+import cloudinary from "../cloudinary.js";
+import getDataUri from "../dataUri.js";
+
+// Keys are "<resource_type>/<delivery type>/<public_id>" so that delete and
+// download know how the file was stored.
+const parseKey = (key) => {
+  const [resourceType, type, ...rest] = String(key).split("/");
+  return { resourceType, type, publicId: rest.join("/") };
+};
+
+const URL_PATTERN =
+  /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|raw|video)\/(upload|private|authenticated)\/(?:s--[^/]+--\/)?(?:v\d+\/)?([^?#]+)/;
+
+/**
+ * Storage backed by Cloudinary. Images are stored as images, everything else
+ * as raw files. Private files use Cloudinary's "private" delivery type.
+ *
+ * @returns {Object} Storage provider (see ./index.js).
+ */
+export const createCloudinaryStorage = () => {
+  const provider = {
+    name: "cloudinary",
+
+    upload: async (file, { folder, visibility = "public" } = {}) => {
+      const resourceType = file.mimetype.startsWith("image/")
+        ? "image"
+        : "raw";
+      const type = visibility === "private" ? "private" : "upload";
+
+      const fileUri = getDataUri(file);
+      const cloudResponse = await cloudinary.uploader.upload(fileUri.content, {
+        folder,
+        resource_type: resourceType,
+        type,
+      });
+
+      return {
+        key: `${resourceType}/${type}/${cloudResponse.public_id}`,
+        url: cloudResponse.secure_url,
+        size: cloudResponse.bytes,
+        contentType: file.mimetype,
+      };
+    },
+
+    delete: async (key) => {
+      const { resourceType, type, publicId } = parseKey(key);
+      await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        type,
+        invalidate: true,
+      });
+    },
+
+    getSignedUrl: (key, { expiresIn = 300 } = {}) => {
+      const { resourceType, type, publicId } = parseKey(key);
+      if (type === "upload") {
+        return cloudinary.url(publicId, {
+          resource_type: resourceType,
+          secure: true,
+        });
+      }
+      return cloudinary.utils.private_download_url(publicId, "", {
+        resource_type: resourceType,
+        type,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+      });
+    },
+
+    createReadStream: async (key) => {
+      const response = await fetch(provider.getSignedUrl(key));
+      if (!response.ok) {
+        throw new Error(`File could not be read (${response.status})`);
+      }
+      return Readable.fromWeb(response.body);
+    },
+
+    keyFromUrl: (url) => {
+      const match = URL_PATTERN.exec(String(url || ""));
+      if (!match) return null;
+      const [, resourceType, type, path] = match;
+      // Image public IDs have no extension, raw ones keep it
+      const publicId =
+        resourceType === "image" ? path.replace(/\.[^./]+$/, "") : path;
+      return `${resourceType}/${type}/${decodeURIComponent(publicId)}`;
+    },
+  };
+
+  return provider;
+};
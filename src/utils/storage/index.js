@@ -0,0 +1,57 @@
+import { createCloudinaryStorage } from "./cloudinary.js";
+import { createLocalStorage } from "./local.js";
+
+/*
+ File storage. Every provider implements:
+
+   upload(file, { folder, visibility })  -> { key, url, size, contentType }
+     file is a multer file (buffer, originalname, mimetype, size),
+     visibility is "public" (default) or "private"
+   delete(key)                           -> removes the file
+   getSignedUrl(key, { expiresIn })      -> short-lived URL to the file
+   createReadStream(key)                 -> readable stream of the file
+   keyFromUrl(url)                       -> key of a URL from upload(), or null
+
+ STORAGE_DRIVER picks the provider ("cloudinary" or "local"). Without it,
+ Cloudinary is used when credentials are configured, the local disk otherwise.
+*/
+
+const providers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+/**
+ * Returns the configured storage provider (created once).
+ *
+ * @returns {Object}
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver =
+      process.env.STORAGE_DRIVER ||
+      (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+    if (!providers[driver]) {
+      throw new Error(`Unknown storage driver "${driver}"`);
+    }
+    storage = providers[driver]();
+  }
+  return storage;
+};
+
+/**
+ * Deletes a file by the key upload() returned. Failures are logged, not
+ * thrown: a leftover file must not fail the request.
+ *
+ * @param {String} key
+ * @returns {Promise<void>}
+ */
+export const deleteStoredKey = async (key) => {
+  try {
+    if (key) await getStorage().delete(key);
+  } catch (error) {
+    console.error("Error deleting stored file:", error.message);
+  }
+};
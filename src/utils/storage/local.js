@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Files are served by GET /api/v1/files/<key> (see file.routes.js)
+const FILES_ROUTE = "/api/v1/files/";
+
+const baseUrl = () =>
+  (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`)
+    .replace(/\/$/, "");
+
+const signingSecret = () =>
+  process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || "";
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", signingSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+/**
+ * Storage on the local disk, for development and tests. Keys look like
+ * "<public|private>/<folder>/<file>". Public files can be fetched by URL,
+ * private ones only with a signed, expiring URL.
+ *
+ * @returns {Object} Storage provider (see ./index.js).
+ */
+export const createLocalStorage = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+  // Absolute path of a key, refusing anything outside the storage folder
+  const resolvePath = (key) => {
+    const filePath = path.resolve(root, String(key));
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid file key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    resolvePath,
+
+    upload: async (file, { folder = "misc", visibility = "public" } = {}) => {
+      const extname = path.extname(file.originalname).toLowerCase();
+      const key = [
+        visibility === "private" ? "private" : "public",
+        folder,
+        `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extname}`,
+      ].join("/");
+
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, file.buffer);
+
+      return {
+        key,
+        url: `${baseUrl()}${FILES_ROUTE}${key}`,
+        size: file.size,
+        contentType: file.mimetype,
+      };
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+
+    getSignedUrl: (key, { expiresIn = 300 } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl()}${FILES_ROUTE}${key}?expires=${expires}&signature=${sign(
+        key,
+        expires
+      )}`;
+    },
+
+    // Checks the query of a signed URL
+    verifySignature: (key, expires, signature) => {
+      if (!expires || !signature) return false;
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const actual = Buffer.from(String(signature));
+      return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual)
+      );
+    },
+
+    createReadStream: async (key) => {
+      const filePath = resolvePath(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    keyFromUrl: (url) => {
+      const prefix = `${baseUrl()}${FILES_ROUTE}`;
+      const value = String(url || "");
+      if (!value.startsWith(prefix)) return null;
+      return decodeURIComponent(value.slice(prefix.length).split("?")[0]);
+    },
+  };
+};
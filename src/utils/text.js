@@ -0,0 +1,25 @@
+import validator from "validator";
+import { escapeRegex } from "./jobFilters.js";
+
+/**
+ * Plain text of a stored value. Values stored through sanitizeInput are
+ * HTML-escaped.
+ *
+ * @param {*} value
+ * @returns {String} The unescaped, trimmed text ("" for null/undefined).
+ */
+export const plainText = (value) =>
+  validator.unescape(String(value ?? "")).trim();
+
+/**
+ * Whether a text mentions a term as a whole word, ignoring case. "+" and
+ * "#" count as word characters so that "C" does not match "C++" or "C#".
+ *
+ * @param {String} text
+ * @param {String} term
+ * @returns {Boolean}
+ */
+export const mentions = (text, term) =>
+  new RegExp(
+    `(^|[^a-z0-9+#])${escapeRegex(term.toLowerCase())}(?=$|[^a-z0-9+#])`
+  ).test(text.toLowerCase());
@@ -0,0 +1,231 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthToken from "../models/auth_token.model.js";
+import Session from "../models/session.model.js";
+
+// Read lazily: routes are imported before dotenv runs in index.js
+const accessTokenMs = () =>
+  (Number(process.env.ACCESS_TOKEN_MINUTES) || 15) * 60 * 1000;
+const refreshTokenMs = () =>
+  (Number(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Lifetime of single-use email tokens
+const AUTH_TOKEN_TTL = {
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000, // 1 hour
+};
+
+// Refresh cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/v1/user/auth";
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// "Chrome on Windows" style label from a user agent string
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Chrome/", "Chrome"],
+    ["Firefox/", "Firefox"],
+    ["Safari/", "Safari"],
+    ["PostmanRuntime", "Postman"],
+  ];
+  const systems = [
+    ["Windows", "Windows"],
+    ["Android", "Android"],
+    ["iPhone", "iOS"],
+    ["iPad", "iOS"],
+    ["Mac OS", "macOS"],
+    ["Linux", "Linux"],
+  ];
+  const browser = browsers.find(([needle]) => userAgent.includes(needle));
+  const system = systems.find(([needle]) => userAgent.includes(needle));
+
+  if (!browser && !system) return "Unknown device";
+  return [browser?.[1], system?.[1]].filter(Boolean).join(" on ");
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ _id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: Math.floor(accessTokenMs() / 1000),
+  });
+
+// Refresh tokens are "<sessionId>.<random secret>"
+const newRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+
+/**
+ * Creates a session for a user that just logged in.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} req - The request object (for device and IP).
+ * @returns {Promise<{ accessToken: String, refreshToken: String }>}
+ */
+export const createSession = async (user, req) => {
+  const userAgent = req.get("user-agent") || "";
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenMs()),
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * Presenting an already rotated token revokes the whole session, since it
+ * means the token was copied.
+ *
+ * @param {String} refreshToken - The refresh token from the cookie.
+ * @param {Object} req - The request object (for the IP).
+ * @returns {Promise<Object|null>} The new tokens or null when rejected.
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split(".");
+  const session = await Session.findById(sessionId).catch(() => null);
+  if (!session || !session.isActive()) return null;
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const nextRefreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = new Date();
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+/**
+ * Sets the access and refresh token cookies.
+ *
+ * @param {Object} res - The response object.
+ * @param {{ accessToken: String, refreshToken: String }} tokens
+ * @returns {Object} The response object, for chaining.
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken }) =>
+  res
+    .cookie("token", accessToken, {
+      expires: new Date(Date.now() + accessTokenMs()),
+      httpOnly: true,
+      sameSite: "strict",
+    })
+    .cookie("refreshToken", refreshToken, {
+      expires: new Date(Date.now() + refreshTokenMs()),
+      httpOnly: true,
+      sameSite: "strict",
+      path: REFRESH_COOKIE_PATH,
+    });
+
+/**
+ * Clears the access and refresh token cookies.
+ *
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object, for chaining.
+ */
+export const clearAuthCookies = (res) =>
+  res
+    .cookie("token", null, {
+      expires: new Date(Date.now()),
+      httpOnly: true,
+      sameSite: "strict",
+    })
+    .cookie("refreshToken", null, {
+      expires: new Date(Date.now()),
+      httpOnly: true,
+      sameSite: "strict",
+      path: REFRESH_COOKIE_PATH,
+    });
+
+/**
+ * Finds the session of a request: the one whose current refresh token is in
+ * the refresh cookie, or else the one named in the access token (expired or
+ * not).
+ *
+ * @param {Object} req - The request object.
+ * @returns {Promise<String|null>} The session ID.
+ */
+export const getRequestSessionId = async (req) => {
+  const { token, refreshToken } = req.cookies;
+
+  if (refreshToken) {
+    const session = await Session.findOne({
+      refreshTokenHash: hashToken(String(refreshToken)),
+    }).select("_id");
+    if (session) return session._id;
+  }
+
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      ignoreExpiration: true,
+    });
+    return decoded.sid || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Creates a single-use email token (verification or password reset).
+ * Earlier unused tokens of the same type for the user stop working.
+ *
+ * @param {String} userId - ID of the user the token is for.
+ * @param {String} type - "email_verification" or "password_reset".
+ * @param {Object} [options]
+ * @param {String} [options.email] - For an email change, the new address
+ * the verification token confirms.
+ * @returns {Promise<String>} The raw token to put in the email.
+ */
+export const issueAuthToken = async (userId, type, { email = null } = {}) => {
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    user: userId,
+    type,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL[type]),
+  });
+
+  return token;
+};
+
+/**
+ * Marks a single-use email token as used.
+ *
+ * @param {String} token - The raw token from the email.
+ * @param {String} type - "email_verification" or "password_reset".
+ * @returns {Promise<Object|null>} The token document, or null when the token
+ * is unknown, expired or already used.
+ */
+export const consumeAuthToken = (token, type) =>
+  AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
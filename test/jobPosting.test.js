@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickJobUpdates } from "../src/utils/jobPosting.js";
+
+test("job updates cannot change the moderation state", () => {
+  const updates = pickJobUpdates({
+    title: "Backend developer",
+    isHidden: false,
+    hiddenAt: null,
+  });
+
+  assert.deepEqual(updates, { title: "Backend developer" });
+});
+
+test("job updates cannot change ownership or the status", () => {
+  const updates = pickJobUpdates({
+    location: "Berlin",
+    postedBy: "000000000000000000000001",
+    company: "000000000000000000000002",
+    status: "published",
+    closedReason: null,
+  });
+
+  assert.deepEqual(updates, { location: "Berlin" });
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHighlights } from "../src/utils/searchHighlight.js";
+
+test("highlights escape markup stored in job fields", () => {
+  const highlights = buildHighlights(
+    {
+      title: "<script>alert(1)</script> React developer",
+      description: '<img src=x onerror="alert(1)"> We use React &amp; Node',
+    },
+    "react"
+  );
+
+  assert.equal(
+    highlights.title,
+    "&lt;script&gt;alert(1)&lt;&#x2F;script&gt; <mark>React</mark> developer"
+  );
+  assert.equal(
+    highlights.description,
+    "&lt;img src=x onerror=&quot;alert(1)&quot;&gt; We use <mark>React</mark> &amp; Node"
+  );
+});
+
+test("search terms are matched against the unescaped text", () => {
+  const highlights = buildHighlights({ title: "R&amp;D engineer" }, "r&d");
+
+  assert.equal(highlights.title, "<mark>R&amp;D</mark> engineer");
+});